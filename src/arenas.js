@@ -0,0 +1,189 @@
+// Arena definitions.
+//   width, height: arena size in pixels
+//   spawns:        starting position of each player
+//   zones:         rectangle each player may move in { minX, maxX, minY, maxY }
+//   obstacles:     rectangles { x, y, width, height } that block projectiles and movement
+
+const DEFAULT_ARENA_ID = 'classic';
+
+const arenas = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    width: 800,
+    height: 600,
+    spawns: {
+      player1: { x: 100, y: 300 },
+      player2: { x: 700, y: 300 }
+    },
+    zones: {
+      player1: { minX: 0, maxX: 400, minY: 0, maxY: 600 },
+      player2: { minX: 400, maxX: 800, minY: 0, maxY: 600 }
+    },
+    obstacles: []
+  },
+  {
+    id: 'pillars',
+    name: 'Pillars',
+    width: 800,
+    height: 600,
+    spawns: {
+      player1: { x: 100, y: 300 },
+      player2: { x: 700, y: 300 }
+    },
+    zones: {
+      player1: { minX: 0, maxX: 360, minY: 0, maxY: 600 },
+      player2: { minX: 440, maxX: 800, minY: 0, maxY: 600 }
+    },
+    obstacles: [
+      { x: 380, y: 100, width: 40, height: 120 },
+      { x: 380, y: 380, width: 40, height: 120 }
+    ]
+  },
+  {
+    id: 'ruins',
+    name: 'Ruins',
+    width: 1000,
+    height: 600,
+    spawns: {
+      player1: { x: 120, y: 300 },
+      player2: { x: 880, y: 300 }
+    },
+    zones: {
+      player1: { minX: 0, maxX: 450, minY: 0, maxY: 600 },
+      player2: { minX: 550, maxX: 1000, minY: 0, maxY: 600 }
+    },
+    obstacles: [
+      { x: 480, y: 260, width: 40, height: 80 },
+      { x: 260, y: 80, width: 60, height: 40 },
+      { x: 680, y: 480, width: 60, height: 40 }
+    ]
+  }
+];
+
+const arenasById = new Map(arenas.map(arena => [arena.id, arena]));
+
+// Get an arena by id (undefined if unknown)
+function getArena(id) {
+  return arenasById.get(id);
+}
+
+// Get an arena by id, falling back to the default for unknown ids
+function resolveArena(id) {
+  return arenasById.get(id) || arenasById.get(DEFAULT_ARENA_ID);
+}
+
+function isValidArena(id) {
+  return arenasById.has(id);
+}
+
+function listArenaIds() {
+  return arenas.map(arena => arena.id);
+}
+
+// Pick a random arena id (sessions without a fixed arena)
+function getRandomArenaId() {
+  return arenas[Math.floor(Math.random() * arenas.length)].id;
+}
+
+function isInsideRect(position, rect) {
+  return position.x > rect.x && position.x < rect.x + rect.width &&
+    position.y > rect.y && position.y < rect.y + rect.height;
+}
+
+// Where a straight move from `from` to `to` first enters a rectangle (0..1), or null if it doesn't.
+// Clips the segment against each slab (Liang-Barsky); sliding along an edge doesn't count
+function segmentEntry(from, to, rect) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+
+  let enter = 0;
+  let exit = 1;
+  const edges = [
+    [-dx, from.x - rect.x],
+    [dx, rect.x + rect.width - from.x],
+    [-dy, from.y - rect.y],
+    [dy, rect.y + rect.height - from.y]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q <= 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      enter = Math.max(enter, t);
+    } else {
+      exit = Math.min(exit, t);
+    }
+    if (enter >= exit) return null;
+  }
+  return enter;
+}
+
+// Keep a position inside the player's zone and out of obstacles
+function clampToZone(arena, playerId, position) {
+  const zone = arena.zones[playerId];
+  const clamped = {
+    x: Math.max(zone.minX, Math.min(zone.maxX, position.x)),
+    y: Math.max(zone.minY, Math.min(zone.maxY, position.y))
+  };
+
+  // Push positions inside an obstacle out through the nearest edge
+  for (const obstacle of arena.obstacles) {
+    if (!isInsideRect(clamped, obstacle)) continue;
+
+    const exits = [
+      { x: obstacle.x, y: clamped.y, distance: clamped.x - obstacle.x },
+      { x: obstacle.x + obstacle.width, y: clamped.y, distance: obstacle.x + obstacle.width - clamped.x },
+      { x: clamped.x, y: obstacle.y, distance: clamped.y - obstacle.y },
+      { x: clamped.x, y: obstacle.y + obstacle.height, distance: obstacle.y + obstacle.height - clamped.y }
+    ];
+    const nearest = exits.reduce((best, exit) => (exit.distance < best.distance ? exit : best));
+    clamped.x = nearest.x;
+    clamped.y = nearest.y;
+  }
+
+  return clamped;
+}
+
+// Move from `from` towards `to`, kept in the player's zone and stopped at the first obstacle on the way
+function sweepMove(arena, playerId, from, to) {
+  const target = clampToZone(arena, playerId, to);
+
+  let t = 1;
+  for (const obstacle of arena.obstacles) {
+    const entry = segmentEntry(from, target, obstacle);
+    if (entry !== null && entry < t) t = entry;
+  }
+  if (t === 1) return target;
+
+  return {
+    x: from.x + (target.x - from.x) * t,
+    y: from.y + (target.y - from.y) * t
+  };
+}
+
+// Arena data sent to clients in `match-found`
+function describeArena(arena) {
+  return {
+    id: arena.id,
+    name: arena.name,
+    width: arena.width,
+    height: arena.height,
+    spawns: arena.spawns,
+    zones: arena.zones,
+    obstacles: arena.obstacles
+  };
+}
+
+module.exports = {
+  getArena,
+  resolveArena,
+  isValidArena,
+  listArenaIds,
+  getRandomArenaId,
+  clampToZone,
+  sweepMove,
+  describeArena
+};
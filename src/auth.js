@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Shared secret used by the web app to sign connection tokens
+const AUTH_SECRET = process.env.WS_AUTH_SECRET;
+
+// Allowed clock drift between the web app and this server (seconds)
+const CLOCK_SKEW_SECONDS = 30;
+
+const VALID_ROLES = ['teacher', 'student'];
+
+// Helper function to encode a buffer/string as base64url
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+// Helper function to decode a base64url string
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+function sign(encodedPayload, secret) {
+  return base64UrlEncode(
+    crypto.createHmac('sha256', secret).update(encodedPayload).digest()
+  );
+}
+
+// Issue a token: base64url(JSON claims) + '.' + base64url(HMAC-SHA256)
+// Claims: { sub: userId, role: 'teacher'|'student', session: sessionCode, exp: unix seconds }
+function issueToken({ userId, role, sessionCode, ttlSeconds = 3600 }, secret = AUTH_SECRET) {
+  if (!secret) {
+    throw new Error('WS_AUTH_SECRET is not configured');
+  }
+
+  const claims = {
+    sub: String(userId),
+    role,
+    session: sessionCode,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const encodedPayload = base64UrlEncode(JSON.stringify(claims));
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+// Verify a token and return its claims, or throw with a reason
+function verifyToken(token, secret = AUTH_SECRET) {
+  if (!secret) {
+    throw new Error('WS_AUTH_SECRET is not configured');
+  }
+  if (typeof token !== 'string' || !token.includes('.')) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = sign(encodedPayload, secret);
+
+  const signatureBuffer = Buffer.from(signature || '');
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length ||
+      !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(base64UrlDecode(encodedPayload));
+  } catch (error) {
+    throw new Error('Malformed token payload');
+  }
+
+  if (!claims.sub || !claims.session || !VALID_ROLES.includes(claims.role)) {
+    throw new Error('Token is missing required claims');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('Token expired');
+  }
+
+  return {
+    userId: String(claims.sub),
+    role: claims.role,
+    sessionCode: claims.session,
+    expiresAt: claims.exp
+  };
+}
+
+// Extract the token from the upgrade request (query string or Authorization header)
+function getTokenFromRequest(req) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.substring(7);
+  }
+  return null;
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  getTokenFromRequest
+};
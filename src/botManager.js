@@ -0,0 +1,289 @@
+const WebSocket = require('ws');
+const matchManager = require('./matchManager');
+const characters = require('./characters');
+const spells = require('./spells');
+const statusEffects = require('./statusEffects');
+const matchmaking = require('./matchmaking');
+
+// Running bots (botId -> bot)
+const bots = new Map();
+
+// How often a bot looks at the match and decides what to do
+const BOT_THINK_MS = 100;
+
+// Delay before a bot answers round-ready (feels less instant to the human)
+const BOT_READY_DELAY_MS = 1500;
+
+// Card damage at which a student counts as fully powered up for bot difficulty
+const BOT_REFERENCE_DAMAGE = 30;
+
+// Bots move a bit slower than the speed check allows
+const BOT_MOVE_SPEED_FACTOR = 0.9;
+
+// Incoming projectiles closer than this (and roughly level with the bot) are dodged
+const BOT_DODGE_RANGE = 320;
+const BOT_DODGE_ROW = 60;
+const BOT_DODGE_STEP = 140;
+
+// Server-side opponent for a student left alone in the queue.
+// A bot plays through MatchManager with a virtual socket, so it follows the same
+// movement, cooldown, mana and status effect rules as a student.
+//
+// Difficulty (0 = easiest, 1 = hardest) comes from the human's HP share, card damage and rating.
+// It sets the bot's damage and how often it casts, dodges and uses shield/heal.
+class BotManager {
+  // Build a queue entry for a bot that will fight `opponent` (a queue entry)
+  createBot(sessionCode, opponent) {
+    const botId = `bot_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const character = characters.resolveCharacter(characters.getRandomCharacterId());
+    const difficulty = this.getDifficulty(opponent);
+    const hpShare = opponent.maxHp > 0 ? opponent.hp / opponent.maxHp : 1;
+
+    const bot = {
+      id: botId,
+      sessionCode,
+      difficulty,
+      castIntervalMs: 2200 - 1400 * difficulty,
+      dodgeChance: 0.15 + 0.7 * difficulty,
+      lastCastAt: 0,
+      wanderTarget: null,
+      thinkTimer: null,
+      readyTimer: null,
+      ws: null
+    };
+    bot.ws = this.createSocket(bot);
+    bots.set(botId, bot);
+
+    console.log('[BotManager] Created bot:', {
+      sessionCode,
+      botId,
+      opponent: opponent.studentId,
+      character: character.id,
+      difficulty: Number(difficulty.toFixed(2))
+    });
+
+    return {
+      studentId: botId,
+      ws: bot.ws,
+      sessionCode,
+      isBot: true,
+      damage: Math.max(5, Math.round((opponent.damage || 5) * (0.6 + 0.5 * difficulty))),
+      hp: Math.max(1, Math.round(character.baseHp * hpShare)),
+      maxHp: character.baseHp,
+      rating: opponent.rating ?? matchmaking.DEFAULT_RATING,
+      selectedCharacter: character.id,
+      studentNickname: `Bot ${character.name}`,
+      enteredAt: Date.now()
+    };
+  }
+
+  // How hard a bot should play against this student
+  getDifficulty(opponent) {
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const hp = opponent.maxHp > 0 ? opponent.hp / opponent.maxHp : 0;
+    const damage = (opponent.damage || 5) / BOT_REFERENCE_DAMAGE;
+    const rating = 0.5 + ((opponent.rating ?? matchmaking.DEFAULT_RATING) - matchmaking.DEFAULT_RATING) / 800;
+    return clamp((clamp(hp) + clamp(damage) + clamp(rating)) / 3);
+  }
+
+  // Virtual socket: MatchManager sends to it like any client, the bot reacts to match events
+  createSocket(bot) {
+    return {
+      readyState: WebSocket.OPEN,
+      userId: bot.id,
+      userRole: 'bot',
+      sessionCode: bot.sessionCode,
+      matchId: null,
+      playerId: null,
+      send: (data) => this.handleMessage(bot, JSON.parse(data))
+    };
+  }
+
+  handleMessage(bot, message) {
+    switch (message.type) {
+      case 'match-found':
+        this.scheduleReady(bot);
+        break;
+
+      case 'round-start':
+        this.startThinking(bot);
+        break;
+
+      case 'round-end':
+        this.stopThinking(bot);
+        // Also runs without a next round: the match is gone by then and the bot cleans up
+        this.scheduleReady(bot);
+        break;
+
+      case 'match-end':
+        this.removeBot(bot.id);
+        break;
+    }
+  }
+
+  // Answer round-ready after a short pause
+  scheduleReady(bot) {
+    clearTimeout(bot.readyTimer);
+    bot.readyTimer = setTimeout(() => {
+      bot.readyTimer = null;
+      const match = matchManager.getMatch(bot.ws.matchId);
+      if (!match) {
+        this.removeBot(bot.id);
+        return;
+      }
+      matchManager.handleRoundReady(bot.ws, { matchId: match.id }).catch(error => {
+        console.error('[BotManager] Round ready error:', error);
+      });
+    }, BOT_READY_DELAY_MS);
+  }
+
+  startThinking(bot) {
+    this.stopThinking(bot);
+    bot.thinkTimer = setInterval(() => {
+      this.think(bot).catch(error => {
+        console.error('[BotManager] Think error:', error);
+      });
+    }, BOT_THINK_MS);
+  }
+
+  stopThinking(bot) {
+    if (!bot.thinkTimer) return;
+
+    clearInterval(bot.thinkTimer);
+    bot.thinkTimer = null;
+  }
+
+  // One decision step: move (dodge or wander), then maybe cast
+  async think(bot) {
+    const match = matchManager.getMatch(bot.ws.matchId);
+    if (!match) {
+      this.removeBot(bot.id);
+      return;
+    }
+    if (match.status !== 'active') return;
+
+    const self = match[bot.ws.playerId];
+    const opponent = bot.ws.playerId === 'player1' ? match.player2 : match.player1;
+    const now = Date.now();
+
+    await this.move(bot, match, self, now);
+    await this.cast(bot, match, self, opponent, now);
+  }
+
+  // Step towards a goal, never further than the speed check allows
+  async move(bot, match, self, now) {
+    const speed = self.moveSpeed * statusEffects.getMoveMultiplier(self, now);
+    if (speed <= 0) return;
+
+    const goal = this.chooseGoal(bot, match, self);
+    const from = self.lastAcceptedPosition || self.position;
+    const dx = goal.x - from.x;
+    const dy = goal.y - from.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < 1) {
+      bot.wanderTarget = null;
+      return;
+    }
+
+    const elapsedSeconds = (now - (self.lastMoveAt || now)) / 1000;
+    const step = Math.min(distance, speed * elapsedSeconds * BOT_MOVE_SPEED_FACTOR);
+    if (step <= 0) return;
+
+    await matchManager.handlePlayerMove(bot.ws, {
+      matchId: match.id,
+      position: {
+        x: from.x + (dx / distance) * step,
+        y: from.y + (dy / distance) * step
+      }
+    });
+  }
+
+  // Dodge an incoming projectile, otherwise wander around the bot's zone
+  chooseGoal(bot, match, self) {
+    const zone = match.arena.zones[bot.ws.playerId];
+    const threat = this.findThreat(match, self);
+
+    if (threat && !bot.wanderTarget?.dodge && Math.random() < bot.dodgeChance) {
+      const up = threat.position.y >= self.position.y;
+      const y = self.position.y + (up ? -BOT_DODGE_STEP : BOT_DODGE_STEP);
+      const clampedY = Math.max(zone.minY, Math.min(zone.maxY, y));
+      // Against the wall - dodge the other way
+      bot.wanderTarget = {
+        x: self.position.x,
+        y: clampedY === y ? y : self.position.y + (up ? BOT_DODGE_STEP : -BOT_DODGE_STEP),
+        dodge: true
+      };
+    } else if (!bot.wanderTarget) {
+      bot.wanderTarget = {
+        x: zone.minX + (0.2 + Math.random() * 0.6) * (zone.maxX - zone.minX),
+        y: zone.minY + (0.1 + Math.random() * 0.8) * (zone.maxY - zone.minY),
+        dodge: false
+      };
+    }
+    return bot.wanderTarget;
+  }
+
+  // Nearest opponent projectile heading for the bot
+  findThreat(match, self) {
+    let threat = null;
+    for (const spell of match.activeSpells) {
+      if (spell.effect !== 'projectile' || spell.owner === self.ws.playerId) continue;
+
+      const dx = self.position.x - spell.position.x;
+      const approaching = Math.sign(dx) === Math.sign(spell.velocity.x);
+      if (!approaching || Math.abs(dx) > BOT_DODGE_RANGE) continue;
+      if (Math.abs(self.position.y - spell.position.y) > BOT_DODGE_ROW) continue;
+
+      if (!threat || Math.abs(dx) < Math.abs(self.position.x - threat.position.x)) {
+        threat = spell;
+      }
+    }
+    return threat;
+  }
+
+  // Cast the most useful spell that is ready (heal when hurt, shield when threatened)
+  async cast(bot, match, self, opponent, now) {
+    if (now - bot.lastCastAt < bot.castIntervalMs) return;
+    if (!statusEffects.canCast(self, now)) return;
+
+    const ready = self.spells.filter(type => {
+      const definition = spells.getSpell(type);
+      return now >= (self.cooldowns[type] || 0) && self.mana >= definition.manaCost;
+    });
+    if (ready.length === 0) return;
+
+    const wantsHeal = self.hp / self.maxHp < 0.5 && Math.random() < bot.difficulty;
+    const wantsShield = !self.shield && this.findThreat(match, self) && Math.random() < bot.difficulty;
+    const projectiles = ready.filter(type => spells.getSpell(type).effect === 'projectile');
+
+    let spellType = null;
+    if (wantsHeal && ready.includes('heal')) {
+      spellType = 'heal';
+    } else if (wantsShield && ready.includes('shield')) {
+      spellType = 'shield';
+    } else if (projectiles.length > 0) {
+      spellType = projectiles[Math.floor(Math.random() * projectiles.length)];
+    }
+    if (!spellType) return;
+
+    bot.lastCastAt = now;
+    await matchManager.handleSpellCast(bot.ws, {
+      matchId: match.id,
+      spellType,
+      direction: opponent.position.x >= self.position.x ? 1 : -1
+    });
+  }
+
+  removeBot(botId) {
+    const bot = bots.get(botId);
+    if (!bot) return;
+
+    this.stopThinking(bot);
+    clearTimeout(bot.readyTimer);
+    bot.ws.readyState = WebSocket.CLOSED;
+    bots.delete(botId);
+    console.log(`[BotManager] Removed bot ${botId}`);
+  }
+}
+
+module.exports = new BotManager();
@@ -0,0 +1,426 @@
+const { neon } = require('@neondatabase/serverless');
+const WebSocket = require('ws');
+const gameManager = require('./gameManager');
+const { ErrorCodes, sendError } = require('./errors');
+
+const sql = neon(process.env.NEON_DATABASE_URL);
+
+// Brackets of sessions in bracket mode (sessionCode -> bracket)
+const brackets = new Map();
+
+// Bracket format:
+//   { sessionCode, seeding, status: 'active' | 'completed', createdAt,
+//     seeds: [{ studentId, nickname, seed }],
+//     rounds: [[{ id, round, index, player1, player2, winnerId, status, matchId, reason }]],
+//     placements: Map studentId -> { place, round } }
+// Round 1 has bracket size / 2 matches (size is the player count rounded up to a power of two).
+// Match status: 'pending' (waiting for players), 'live', 'done' or 'bye'.
+// Players are student ids as strings; the winner of match i moves to match floor(i / 2) of the next round.
+
+// Seed positions for a bracket of `size`, top to bottom (1 plays size, 2 plays size - 1, ...)
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function shuffle(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+class BracketManager {
+  isBracketSession(session) {
+    return session?.tournamentMode === 'bracket';
+  }
+
+  getBracket(sessionCode) {
+    return brackets.get(sessionCode);
+  }
+
+  // Whether a student has a place in the session's bracket
+  isSeeded(sessionCode, studentId) {
+    const bracket = brackets.get(sessionCode);
+    return !!bracket && bracket.seeds.some(seed => seed.studentId === String(studentId));
+  }
+
+  // Students who can still be seeded (not eliminated, HP left)
+  getContenders(session) {
+    return Array.from(session.players.values()).filter(p => !p.eliminated && p.hp > 0);
+  }
+
+  // Teacher seeds the bracket now instead of waiting for every student to queue
+  async handleStartBracket(ws, payload) {
+    const { sessionCode } = payload;
+    const session = gameManager.getSession(sessionCode);
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
+
+    if (!gameManager.isSessionTeacher(ws, session)) {
+      sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'Only teacher can start the bracket');
+      return;
+    }
+
+    if (!this.isBracketSession(session) || !session.gameStarted) {
+      sendError(ws, ErrorCodes.BRACKET_NOT_ENABLED, 'Start the game in bracket mode first', {
+        messageType: 'start-bracket'
+      });
+      return;
+    }
+
+    if (brackets.has(sessionCode)) {
+      sendError(ws, ErrorCodes.BRACKET_ALREADY_STARTED, 'The bracket has already been seeded', {
+        messageType: 'start-bracket'
+      });
+      return;
+    }
+
+    if (this.getContenders(session).length < 2) {
+      sendError(ws, ErrorCodes.NOT_ENOUGH_PLAYERS, 'A bracket needs at least 2 players', {
+        messageType: 'start-bracket'
+      });
+      return;
+    }
+
+    await this.createBracket(session);
+
+    // Students already waiting can start their first matches
+    const queueManager = require('./queueManager');
+    await queueManager.tryMatch(sessionCode);
+  }
+
+  // Seed automatically once every student still in the game has finished the card phase and queued
+  async maybeCreateBracket(session, queue) {
+    if (brackets.has(session.sessionCode)) return brackets.get(session.sessionCode);
+
+    const contenders = this.getContenders(session);
+    if (contenders.length < 2) return null;
+
+    const queued = new Set(queue.map(entry => String(entry.studentId)));
+    if (!contenders.every(p => queued.has(String(p.studentId)))) return null;
+
+    return this.createBracket(session);
+  }
+
+  // Seed the contenders and build every round. Byes go to the top seeds.
+  async createBracket(session) {
+    const contenders = this.getContenders(session);
+    const seeding = session.bracketSeeding || 'performance';
+
+    // Card-phase performance: damage earned, then correct answers, then faster answers
+    const avgResponse = (p) => (p.responseCount ? p.totalResponseMs / p.responseCount : Infinity);
+    const ordered = seeding === 'random'
+      ? shuffle(contenders)
+      : [...contenders].sort((a, b) =>
+        (b.damage || 5) - (a.damage || 5) ||
+        (b.correctAnswers || 0) - (a.correctAnswers || 0) ||
+        avgResponse(a) - avgResponse(b));
+
+    const size = Math.pow(2, Math.ceil(Math.log2(ordered.length)));
+    const roundCount = Math.log2(size);
+    const seeds = ordered.map((p, index) => ({
+      studentId: String(p.studentId),
+      nickname: p.studentNickname,
+      seed: index + 1
+    }));
+
+    const rounds = [];
+    for (let round = 1; round <= roundCount; round++) {
+      const matches = [];
+      for (let index = 0; index < size / Math.pow(2, round); index++) {
+        matches.push({
+          id: `r${round}m${index + 1}`,
+          round,
+          index,
+          player1: null,
+          player2: null,
+          winnerId: null,
+          status: 'pending',
+          matchId: null,
+          reason: null
+        });
+      }
+      rounds.push(matches);
+    }
+
+    const order = seedOrder(size);
+    rounds[0].forEach((match, index) => {
+      match.player1 = seeds[order[index * 2] - 1]?.studentId || null;
+      match.player2 = seeds[order[index * 2 + 1] - 1]?.studentId || null;
+    });
+
+    const bracket = {
+      sessionCode: session.sessionCode,
+      seeding,
+      status: 'active',
+      createdAt: Date.now(),
+      seeds,
+      rounds,
+      placements: new Map()
+    };
+    brackets.set(session.sessionCode, bracket);
+
+    for (const seed of seeds) {
+      const player = this.findSessionPlayer(session, seed.studentId);
+      if (player) player.bracketSeed = seed.seed;
+    }
+
+    // Top seeds without an opponent go straight to round 2
+    for (const match of rounds[0]) {
+      if (!match.player1 || !match.player2) {
+        match.status = 'bye';
+        match.winnerId = match.player1 || match.player2;
+        this.advance(bracket, match);
+      }
+    }
+
+    console.log('[BracketManager] Bracket seeded:', {
+      sessionCode: session.sessionCode,
+      seeding,
+      players: seeds.length,
+      size,
+      byes: size - seeds.length
+    });
+
+    this.broadcastBracket(session.sessionCode);
+    gameManager.sendPlayerStatsToTeacher(session.sessionCode);
+    return bracket;
+  }
+
+  // Bracket matches that can start now, as pairs of queue entries.
+  // Opponents who have left the session lose by walkover; if both left, nobody moves on
+  // and the next round's opponent gets a bye.
+  async findPairs(sessionCode, queue) {
+    const session = gameManager.getSession(sessionCode);
+    if (!session) return [];
+
+    const bracket = await this.maybeCreateBracket(session, queue);
+    if (!bracket || bracket.status !== 'active') return [];
+
+    const pairs = [];
+    for (const round of bracket.rounds) {
+      for (const match of round) {
+        if (match.status !== 'pending') continue;
+
+        // A side whose earlier match ended without a winner stays empty
+        const empty1 = !match.player1 && this.isEmptySlot(bracket, match, 0);
+        const empty2 = !match.player2 && this.isEmptySlot(bracket, match, 1);
+        if (empty1 || empty2) {
+          if ((empty1 || match.player1) && (empty2 || match.player2)) {
+            await this.completeMatch(bracket, match, match.player1 || match.player2, 'bye');
+          }
+          continue;
+        }
+        if (!match.player1 || !match.player2) continue;
+
+        const present1 = this.findSessionPlayer(session, match.player1);
+        const present2 = this.findSessionPlayer(session, match.player2);
+        if (!present1 || !present2) {
+          const winnerId = present1 ? match.player1 : present2 ? match.player2 : null;
+          await this.completeMatch(bracket, match, winnerId, 'walkover');
+          continue;
+        }
+
+        const a = queue.find(entry => String(entry.studentId) === match.player1);
+        const b = queue.find(entry => String(entry.studentId) === match.player2);
+        if (a && b) {
+          pairs.push({ a, b, bracketMatch: match });
+        }
+      }
+    }
+    return pairs;
+  }
+
+  // A student left the session - settle the bracket matches they can no longer play
+  async handlePlayerLeft(sessionCode) {
+    const bracket = brackets.get(sessionCode);
+    if (!bracket || bracket.status !== 'active') return;
+
+    await this.findPairs(sessionCode, []);
+  }
+
+  // Whether the match feeding one side (0 = player1, 1 = player2) finished without a winner
+  isEmptySlot(bracket, match, side) {
+    const feeder = bracket.rounds[match.round - 2]?.[match.index * 2 + side];
+    return !!feeder && (feeder.status === 'done' || feeder.status === 'bye') && !feeder.winnerId;
+  }
+
+  findSessionPlayer(session, studentId) {
+    return Array.from(session.players.values()).find(p => String(p.studentId) === studentId);
+  }
+
+  // A bracket pairing became a live match
+  startBracketMatch(sessionCode, bracketMatch, matchId) {
+    bracketMatch.status = 'live';
+    bracketMatch.matchId = matchId;
+    this.broadcastBracket(sessionCode);
+  }
+
+  // A live match ended with a winner
+  async recordResult(sessionCode, matchId, winnerId) {
+    const bracket = brackets.get(sessionCode);
+    const match = bracket && this.findByMatchId(bracket, matchId);
+    if (!match) return;
+
+    await this.completeMatch(bracket, match, String(winnerId), 'match');
+  }
+
+  // All rounds were drawn - both players go back to the card phase and play the pairing again
+  handleMatchDrawn(sessionCode, matchId) {
+    const bracket = brackets.get(sessionCode);
+    const match = bracket && this.findByMatchId(bracket, matchId);
+    if (!match) return;
+
+    match.status = 'pending';
+    match.matchId = null;
+    this.broadcastBracket(sessionCode);
+  }
+
+  findByMatchId(bracket, matchId) {
+    for (const round of bracket.rounds) {
+      const match = round.find(m => m.matchId === matchId);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  // Decide a bracket match: the loser gets their placement, the winner moves on.
+  // A bye has no loser; a double walkover has no winner (winnerId null).
+  async completeMatch(bracket, match, winnerId, reason) {
+    const loserIds = [match.player1, match.player2].filter(id => id && id !== winnerId);
+    match.status = reason === 'bye' ? 'bye' : 'done';
+    match.winnerId = winnerId;
+    match.reason = reason;
+
+    // Losing in round r of R places a player at 2^(R - r) + 1 (final: 2nd, semifinals: 3rd, ...)
+    const place = Math.pow(2, bracket.rounds.length - match.round) + 1;
+    for (const loserId of loserIds) {
+      await this.recordPlacement(bracket, loserId, place, match.round);
+    }
+
+    if (match.round === bracket.rounds.length) {
+      bracket.status = 'completed';
+      if (winnerId) {
+        await this.recordPlacement(bracket, winnerId, 1, match.round);
+      }
+      console.log(`[BracketManager] Bracket complete for ${bracket.sessionCode}, champion ${winnerId || 'none'}`);
+
+      // A played final ends the tournament in MatchManager.endMatch; walkovers and byes have no match to do it
+      if (reason !== 'match') {
+        const matchManager = require('./matchManager');
+        const session = gameManager.getSession(bracket.sessionCode);
+        const champion = session && winnerId ? this.findSessionPlayer(session, winnerId) : null;
+        await matchManager.endTournament(bracket.sessionCode, champion || null);
+      }
+    } else {
+      this.advance(bracket, match);
+    }
+
+    this.broadcastBracket(bracket.sessionCode);
+  }
+
+  // Move a match winner into their slot in the next round
+  advance(bracket, match) {
+    const next = bracket.rounds[match.round]?.[Math.floor(match.index / 2)];
+    if (!next) return;
+
+    if (match.index % 2 === 0) {
+      next.player1 = match.winnerId;
+    } else {
+      next.player2 = match.winnerId;
+    }
+  }
+
+  // Store a player's final bracket placement (session player, teacher stats, database)
+  async recordPlacement(bracket, studentId, place, round) {
+    bracket.placements.set(studentId, { place, round });
+
+    const session = gameManager.getSession(bracket.sessionCode);
+    const player = session && this.findSessionPlayer(session, studentId);
+    if (player) {
+      player.bracketPlace = place;
+      gameManager.sendPlayerStatsToTeacher(bracket.sessionCode);
+    }
+
+    const seed = bracket.seeds.find(s => s.studentId === studentId);
+    try {
+      await sql`
+        INSERT INTO mini_game_bracket_placements (
+          session_code, student_id, nickname, seed, placement, eliminated_round, recorded_at
+        ) VALUES (
+          ${bracket.sessionCode}, ${studentId}, ${seed?.nickname || null}, ${seed?.seed || null},
+          ${place}, ${place === 1 ? null : round}, CURRENT_TIMESTAMP
+        )
+      `;
+    } catch (error) {
+      console.error('[BracketManager] Failed to store placement:', error.message);
+    }
+  }
+
+  // Bracket state sent to participants and the teacher
+  describeBracket(bracket) {
+    const openRound = bracket.rounds.find(round => round.some(m => m.status === 'pending' || m.status === 'live'));
+
+    return {
+      type: 'bracket-update',
+      seeding: bracket.seeding,
+      status: bracket.status,
+      currentRound: openRound ? openRound[0].round : bracket.rounds.length,
+      totalRounds: bracket.rounds.length,
+      seeds: bracket.seeds,
+      rounds: bracket.rounds.map(round => round.map(m => ({
+        id: m.id,
+        round: m.round,
+        player1: m.player1,
+        player2: m.player2,
+        winnerId: m.winnerId,
+        status: m.status,
+        matchId: m.matchId,
+        reason: m.reason
+      }))),
+      placements: Array.from(bracket.placements.entries())
+        .map(([studentId, { place }]) => ({
+          studentId,
+          nickname: bracket.seeds.find(s => s.studentId === studentId)?.nickname,
+          place
+        }))
+        .sort((a, b) => a.place - b.place)
+    };
+  }
+
+  // Push the bracket to every seeded student and the teacher
+  broadcastBracket(sessionCode) {
+    const bracket = brackets.get(sessionCode);
+    const session = gameManager.getSession(sessionCode);
+    if (!bracket || !session) return;
+
+    const message = this.describeBracket(bracket);
+    const data = JSON.stringify(message);
+    for (const player of session.players.values()) {
+      if (!this.isSeeded(sessionCode, player.studentId)) continue;
+      if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+        player.ws.send(data);
+      }
+    }
+    gameManager.broadcastToTeacher(sessionCode, message);
+  }
+
+  // Bring a (re)connected socket up to date
+  sendBracket(ws, sessionCode) {
+    const bracket = brackets.get(sessionCode);
+    if (!bracket || !ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify(this.describeBracket(bracket)));
+  }
+}
+
+module.exports = new BracketManager();
@@ -0,0 +1,112 @@
+// Character registry - the single source of truth for playable characters.
+//   baseHp:           starting HP in the tournament
+//   moveSpeed:        maximum movement speed in a match (pixels per second)
+//   damageMultiplier: applied to the player's card damage when casting
+//   spells:           spell types this character is allowed to cast
+
+const DEFAULT_CHARACTER_ID = 'swordsman';
+
+const characters = [
+  {
+    id: 'archer',
+    name: 'Archer',
+    gender: 'men',
+    preview: '/art/characters/men/Archer/Idle.png',
+    baseHp: 180,
+    moveSpeed: 330,
+    damageMultiplier: 1.1,
+    spells: ['fire_arrow', 'frost_bolt']
+  },
+  {
+    id: 'swordsman',
+    name: 'Swordsman',
+    gender: 'men',
+    preview: '/art/characters/men/Swordsman/Idle.png',
+    baseHp: 220,
+    moveSpeed: 280,
+    damageMultiplier: 1.0,
+    spells: ['fire_arrow', 'shield']
+  },
+  {
+    id: 'wizard',
+    name: 'Wizard',
+    gender: 'men',
+    preview: '/art/characters/men/Wizard/Idle.png',
+    baseHp: 170,
+    moveSpeed: 260,
+    damageMultiplier: 1.2,
+    spells: ['fire_arrow', 'water_spell', 'frost_bolt']
+  },
+  {
+    id: 'enchantress',
+    name: 'Enchantress',
+    gender: 'women',
+    preview: '/art/characters/women/Enchantress/Idle.png',
+    baseHp: 190,
+    moveSpeed: 300,
+    damageMultiplier: 1.0,
+    spells: ['water_spell', 'fire_arrow', 'heal']
+  },
+  {
+    id: 'knight',
+    name: 'Knight',
+    gender: 'women',
+    preview: '/art/characters/women/Knight/Idle.png',
+    baseHp: 240,
+    moveSpeed: 220,
+    damageMultiplier: 0.9,
+    spells: ['fire_arrow', 'shield', 'heal']
+  },
+  {
+    id: 'musketeer',
+    name: 'Musketeer',
+    gender: 'women',
+    preview: '/art/characters/women/Musketeer/Idle.png',
+    baseHp: 200,
+    moveSpeed: 300,
+    damageMultiplier: 1.05,
+    spells: ['fire_arrow', 'water_spell', 'frost_bolt']
+  }
+];
+
+const charactersById = new Map(characters.map(character => [character.id, character]));
+
+// Get a character by id (undefined if unknown)
+function getCharacter(id) {
+  return charactersById.get(id);
+}
+
+// Get a character by id, falling back to the default for unknown ids
+function resolveCharacter(id) {
+  return charactersById.get(id) || charactersById.get(DEFAULT_CHARACTER_ID);
+}
+
+function isValidCharacter(id) {
+  return charactersById.has(id);
+}
+
+// Pick a random character id (late joiners)
+function getRandomCharacterId() {
+  return characters[Math.floor(Math.random() * characters.length)].id;
+}
+
+// Character data sent to clients on the selection screen
+function listCharacters() {
+  return characters.map(character => ({
+    id: character.id,
+    name: character.name,
+    gender: character.gender,
+    preview: character.preview,
+    baseHp: character.baseHp,
+    moveSpeed: character.moveSpeed,
+    spells: character.spells
+  }));
+}
+
+module.exports = {
+  getCharacter,
+  resolveCharacter,
+  isValidCharacter,
+  getRandomCharacterId,
+  listCharacters
+};
@@ -0,0 +1,74 @@
+const WebSocket = require('ws');
+
+// Stable error codes sent to clients in `error` messages.
+// Clients switch on these, so never rename an existing code.
+const ErrorCodes = {
+  // Envelope / schema validation
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+  // Session / lobby
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  SESSION_NOT_JOINABLE: 'SESSION_NOT_JOINABLE',
+  NOT_SESSION_TEACHER: 'NOT_SESSION_TEACHER',
+  STUDENT_ONLY: 'STUDENT_ONLY',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  CHARACTER_NOT_SELECTED: 'CHARACTER_NOT_SELECTED',
+  NO_PLAYERS_IN_LOBBY: 'NO_PLAYERS_IN_LOBBY',
+  INVALID_CHARACTER: 'INVALID_CHARACTER',
+  GAME_ALREADY_STARTED: 'GAME_ALREADY_STARTED',
+  INVALID_ARENA: 'INVALID_ARENA',
+
+  // Card phase
+  NO_CARD_PHASE: 'NO_CARD_PHASE',
+  CARD_PHASE_COMPLETE: 'CARD_PHASE_COMPLETE',
+  CARD_PHASE_INCOMPLETE: 'CARD_PHASE_INCOMPLETE',
+  QUESTION_NOT_DEALT: 'QUESTION_NOT_DEALT',
+  QUESTION_ALREADY_ANSWERED: 'QUESTION_ALREADY_ANSWERED',
+
+  // Queue
+  ALREADY_IN_QUEUE: 'ALREADY_IN_QUEUE',
+  ALREADY_IN_MATCH: 'ALREADY_IN_MATCH',
+  PLAYER_ELIMINATED: 'PLAYER_ELIMINATED',
+
+  // Bracket
+  BRACKET_NOT_ENABLED: 'BRACKET_NOT_ENABLED',
+  BRACKET_ALREADY_STARTED: 'BRACKET_ALREADY_STARTED',
+  NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+  NOT_IN_BRACKET: 'NOT_IN_BRACKET',
+
+  // Match
+  SPELL_NOT_ALLOWED: 'SPELL_NOT_ALLOWED',
+  UNKNOWN_SPELL: 'UNKNOWN_SPELL',
+  SPELL_ON_COOLDOWN: 'SPELL_ON_COOLDOWN',
+  INSUFFICIENT_MANA: 'INSUFFICIENT_MANA',
+  PLAYER_STUNNED: 'PLAYER_STUNNED',
+  MATCH_NOT_FOUND: 'MATCH_NOT_FOUND',
+  SPECTATE_NOT_ALLOWED: 'SPECTATE_NOT_ALLOWED',
+
+  // Replays
+  REPLAY_NOT_FOUND: 'REPLAY_NOT_FOUND',
+  REPLAY_NOT_ALLOWED: 'REPLAY_NOT_ALLOWED'
+};
+
+// Send a structured error to a client
+// details: optional { field, messageType, ... } to help the client react programmatically
+function sendError(ws, code, message, details = {}) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({
+    type: 'error',
+    code,
+    message,
+    ...details
+  }));
+}
+
+module.exports = {
+  ErrorCodes,
+  sendError
+};
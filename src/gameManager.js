@@ -1,8 +1,24 @@
 const { neon } = require('@neondatabase/serverless');
 const WebSocket = require('ws');
+const { ErrorCodes, sendError } = require('./errors');
+const { serializeQuestions } = require('./questionSerializer');
+const characters = require('./characters');
+const arenas = require('./arenas');
 
 const sql = neon(process.env.NEON_DATABASE_URL);
 
+// How long a disconnected student (or teacher) keeps their place in the session
+const PLAYER_OFFLINE_TIMEOUT_MS = Number(process.env.PLAYER_OFFLINE_TIMEOUT_MS) || 120000;
+
+// Default time a student has to answer each card (teacher can override per session)
+const CARD_TIME_LIMIT_MS = Number(process.env.CARD_TIME_LIMIT_MS) || 20000;
+
+// Extra damage for an instant correct answer, scaling down to 0 at the deadline
+const MAX_SPEED_BONUS = 5;
+
+// Stat changes within this window are sent to the teacher as one delta
+const STATS_COALESCE_MS = 250;
+
 // Store active sessions in memory (can be moved to Redis for multi-instance)
 const activeSessions = new Map();
 
@@ -41,6 +57,7 @@ class GameManager {
     const session = result[0];
     activeSessions.set(sessionCode, {
       id: session.id,
+      sessionCode,
       gameId,
       teacherId,
       status: 'waiting',
@@ -78,15 +95,11 @@ class GameManager {
         
         if (anySession.length > 0) {
           const session = anySession[0];
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: `Session found but status is '${session.status}'. Only 'waiting' or 'active' sessions can be joined.`
-          }));
+          sendError(ws, ErrorCodes.SESSION_NOT_JOINABLE,
+            `Session found but status is '${session.status}'. Only 'waiting' or 'active' sessions can be joined.`);
         } else {
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: `Session '${sessionCode}' not found. It may have been deleted or the code is incorrect.`
-          }));
+          sendError(ws, ErrorCodes.SESSION_NOT_FOUND,
+            `Session '${sessionCode}' not found. It may have been deleted or the code is incorrect.`);
         }
         return;
       }
@@ -97,6 +110,7 @@ class GameManager {
       const gameStarted = s.status === 'active';
       activeSessions.set(sessionCode, {
         id: s.id,
+        sessionCode,
         gameId: s.game_id,
         teacherId: s.teacher_id,
         status: s.status,
@@ -117,7 +131,12 @@ class GameManager {
 
     // If teacher is joining, store their WebSocket
     if (ws.userRole === 'teacher') {
+      if (!this.isSessionTeacher(ws, currentSession)) {
+        sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'You are not the teacher of this session');
+        return;
+      }
       currentSession.teacherWs = ws;
+      this.clearTeacherOfflineTimer(currentSession);
       // Send initial lobby update to teacher
       this.broadcastLobbyUpdate(sessionCode);
       ws.send(JSON.stringify({
@@ -125,6 +144,14 @@ class GameManager {
         sessionCode: sessionCode,
         userId: ws.userId
       }));
+      // A (re)connected dashboard starts from a full stats snapshot and the current queue
+      if (currentSession.gameStarted) {
+        this.sendFullPlayerStats(sessionCode);
+        const queueManager = require('./queueManager');
+        queueManager.sendQueueOverview(sessionCode);
+        const bracketManager = require('./bracketManager');
+        bracketManager.sendBracket(ws, sessionCode);
+      }
       return; // Don't add teacher as a player
     }
 
@@ -148,23 +175,28 @@ class GameManager {
       });
       existingPlayer.ws = ws;
       // Don't reset their game state - keep their progress
+
+      // Back online - cancel their expiry and let the teacher know
+      if (!existingPlayer.online) {
+        this.markPlayerOnline(sessionCode, existingPlayer);
+      }
+
+      const bracketManager = require('./bracketManager');
+      bracketManager.sendBracket(ws, sessionCode);
+
+      // Players in a live match were already re-bound and resynced on connect
+      const matchManager = require('./matchManager');
+      const inMatch = existingPlayer.matchId && matchManager.getMatch(existingPlayer.matchId);
       
       // Determine where to send reconnecting player based on their state
-      if (currentSession.gameStarted && existingPlayer.inLobby) {
-        // Game has started and they were in lobby - send them to cards phase
-        const gameQuestions = await sql`
-          SELECT id, question_text, option_a, option_b, option_c, option_d, correct_answer, question_image
-          FROM mini_game_questions
-          WHERE game_id = ${currentSession.gameId}
-        `;
-        const randomQuestions = getRandomQuestions(gameQuestions, 3);
-        
-        ws.send(JSON.stringify({
-          type: 'start-card-phase',
-          questions: randomQuestions,
+      if (inMatch) {
+        // Nothing to do - match-resync carries their state
+      } else if (currentSession.gameStarted && existingPlayer.inLobby) {
+        // Game has started and they were in lobby - send them back to their cards phase
+        await this.resumeCardPhase(currentSession, existingPlayer, {
           lateJoiner: true,
           assignedCharacter: existingPlayer.selectedCharacter
-        }));
+        });
       } else if (!currentSession.gameStarted && existingPlayer.inLobby) {
         // Game hasn't started but they were in lobby - send them back to lobby
         const lobbyPlayers = Array.from(currentSession.players.values())
@@ -185,7 +217,7 @@ class GameManager {
         // (they can join lobby again)
         ws.send(JSON.stringify({
           type: 'character-selection',
-          characters: ['archer', 'swordsman', 'wizard', 'enchantress', 'knight', 'musketeer'],
+          characters: characters.listCharacters(),
           studentNickname: nickname,
           preselectedCharacter: existingPlayer.selectedCharacter // Show their previous selection
         }));
@@ -193,7 +225,7 @@ class GameManager {
         // Game hasn't started and no character selected - send character selection
         ws.send(JSON.stringify({
           type: 'character-selection',
-          characters: ['archer', 'swordsman', 'wizard', 'enchantress', 'knight', 'musketeer'],
+          characters: characters.listCharacters(),
           studentNickname: nickname
         }));
       }
@@ -212,56 +244,40 @@ class GameManager {
           cardsAnswered: 0,
           correctAnswers: 0,
           damage: 5, // Base damage
-          hp: 200,
+          hp: 200, // Replaced by the character's base HP on selection
+          maxHp: 200,
           inQueue: false,
           matchId: null,
           damageDealt: 0, // Track damage dealt in battles
-          damageReceived: 0 // Track damage received in battles
+          damageReceived: 0, // Track damage received in battles
+          online: true,
+          offlineSince: null, // Timestamp of disconnect while offline
+          offlineTimer: null // Removes the player if they don't come back
         });
 
     // Load questions if not loaded
-    if (currentSession.questions.length === 0) {
-      const questions = await sql`
-        SELECT id, question_id, question_text, question_image_url,
-               option_a, option_b, option_c, option_d, correct_answer
-        FROM mini_game_questions
-        WHERE game_id = ${currentSession.gameId}
-        ORDER BY question_id
-      `;
-      currentSession.questions = questions;
-    }
+    await this.ensureQuestionsLoaded(currentSession);
 
     // If game has already started, send student directly to card phase
     if (currentSession.gameStarted || currentSession.status === 'active') {
       // Assign a random character for late joiners
-      const characters = ['archer', 'swordsman', 'wizard', 'enchantress', 'knight', 'musketeer'];
-      const randomCharacter = characters[Math.floor(Math.random() * characters.length)];
+      const randomCharacter = characters.getRandomCharacterId();
       const player = currentSession.players.get(studentId);
       if (player) {
-        player.selectedCharacter = randomCharacter;
+        this.applyCharacter(player, randomCharacter);
         player.inLobby = true; // Mark as in lobby so they can participate
       }
       
-          // Send directly to card phase with random questions
-          const randomQuestions = getRandomQuestions(currentSession.questions, 3);
-          ws.send(JSON.stringify({
-            type: 'start-card-phase',
-            questions: randomQuestions, // Random 3 questions
-            lateJoiner: true, // Flag to indicate this is a late joiner
-            assignedCharacter: randomCharacter
-          }));
+      // Send directly to card phase with random questions
+      await this.startCardPhase(currentSession, player, {
+        lateJoiner: true, // Flag to indicate this is a late joiner
+        assignedCharacter: randomCharacter
+      });
     } else {
       // Game hasn't started yet - send character selection screen
       ws.send(JSON.stringify({
         type: 'character-selection',
-        characters: [
-          { id: 'archer', name: 'Archer', gender: 'men', preview: '/art/characters/men/Archer/Idle.png' },
-          { id: 'swordsman', name: 'Swordsman', gender: 'men', preview: '/art/characters/men/Swordsman/Idle.png' },
-          { id: 'wizard', name: 'Wizard', gender: 'men', preview: '/art/characters/men/Wizard/Idle.png' },
-          { id: 'enchantress', name: 'Enchantress', gender: 'women', preview: '/art/characters/women/Enchantress/Idle.png' },
-          { id: 'knight', name: 'Knight', gender: 'women', preview: '/art/characters/women/Knight/Idle.png' },
-          { id: 'musketeer', name: 'Musketeer', gender: 'women', preview: '/art/characters/women/Musketeer/Idle.png' }
-        ],
+        characters: characters.listCharacters(),
         studentNickname: nickname
       }));
     }
@@ -280,14 +296,38 @@ class GameManager {
   async handleCharacterSelection(ws, payload) {
     const { sessionCode, studentId, characterId } = payload;
     const session = activeSessions.get(sessionCode);
-    if (!session) return;
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
 
     const player = session.players.get(studentId);
-    if (!player) return;
+    if (!player) {
+      sendError(ws, ErrorCodes.PLAYER_NOT_FOUND, 'Player not found in session');
+      return;
+    }
+
+    if (!characters.isValidCharacter(characterId)) {
+      sendError(ws, ErrorCodes.INVALID_CHARACTER, `Unknown character '${characterId}'`, {
+        field: 'characterId',
+        messageType: 'character-selected'
+      });
+      return;
+    }
+
+    // Characters can't be swapped once the game is running (HP is already in play)
+    if (session.gameStarted) {
+      sendError(ws, ErrorCodes.GAME_ALREADY_STARTED, 'Characters can only be changed before the game starts', {
+        field: 'characterId',
+        messageType: 'character-selected'
+      });
+      return;
+    }
 
     // Store selected character
-    player.selectedCharacter = characterId;
+    this.applyCharacter(player, characterId);
     player.inLobby = false; // Not in lobby yet
+    this.sendPlayerStatsToTeacher(sessionCode);
 
     // Confirm selection (don't start card phase yet - wait for lobby join)
     ws.send(JSON.stringify({
@@ -297,21 +337,32 @@ class GameManager {
     }));
   }
 
+  // Set a player's character and the base HP that comes with it
+  applyCharacter(player, characterId) {
+    const character = characters.resolveCharacter(characterId);
+    player.selectedCharacter = character.id;
+    player.hp = character.baseHp;
+    player.maxHp = character.baseHp;
+  }
+
   // Handle join lobby
   async handleJoinLobby(ws, payload) {
     const { sessionCode, studentId } = payload;
     const session = activeSessions.get(sessionCode);
-    if (!session) return;
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
 
     const player = session.players.get(studentId);
-    if (!player) return;
+    if (!player) {
+      sendError(ws, ErrorCodes.PLAYER_NOT_FOUND, 'Player not found in session');
+      return;
+    }
 
     // Check if character is selected
     if (!player.selectedCharacter) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Please select a character first'
-      }));
+      sendError(ws, ErrorCodes.CHARACTER_NOT_SELECTED, 'Please select a character first');
       return;
     }
 
@@ -375,14 +426,14 @@ class GameManager {
   async handleStartGame(ws, payload) {
     const { sessionCode } = payload;
     const session = activeSessions.get(sessionCode);
-    if (!session) return;
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
 
-    // Check if user is teacher
-    if (ws.userRole !== 'teacher') {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Only teacher can start the game'
-      }));
+    // Check if user is this session's teacher
+    if (!this.isSessionTeacher(ws, session)) {
+      sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'Only teacher can start the game');
       return;
     }
 
@@ -391,27 +442,41 @@ class GameManager {
       .filter(p => p.inLobby);
 
     if (lobbyPlayers.length === 0) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'No players in lobby'
-      }));
+      sendError(ws, ErrorCodes.NO_PLAYERS_IN_LOBBY, 'No players in lobby');
+      return;
+    }
+
+    if (payload.arenaId && !arenas.isValidArena(payload.arenaId)) {
+      sendError(ws, ErrorCodes.INVALID_ARENA, `Unknown arena '${payload.arenaId}'`, {
+        field: 'arenaId',
+        messageType: 'start-game'
+      });
       return;
     }
 
     // Mark game as started
     session.gameStarted = true;
+    if (payload.cardTimeLimitMs) {
+      session.cardTimeLimitMs = payload.cardTimeLimitMs;
+    }
+    session.arenaId = payload.arenaId || null; // null = random arena per match
+    if (payload.roundTimeoutRule) {
+      session.roundTimeoutRule = payload.roundTimeoutRule;
+    }
+    if (payload.bestOf) {
+      session.bestOf = payload.bestOf;
+    }
+    session.botEliminates = payload.botEliminates === true;
+    session.tournamentMode = payload.tournamentMode || 'free';
+    session.bracketSeeding = payload.bracketSeeding || 'performance';
 
     // Start card phase for all players in lobby with random questions
     // Each player gets their own random set of 3 questions
-    lobbyPlayers.forEach(player => {
+    for (const player of lobbyPlayers) {
       if (player.ws && player.ws.readyState === 1) { // WebSocket.OPEN
-        const randomQuestions = getRandomQuestions(session.questions, 3);
-        player.ws.send(JSON.stringify({
-          type: 'start-card-phase',
-          questions: randomQuestions // Random 3 questions for each player
-        }));
+        await this.startCardPhase(session, player);
       }
-    });
+    }
 
     // Update session status
     session.status = 'active';
@@ -420,7 +485,11 @@ class GameManager {
     if (session.teacherWs && session.teacherWs.readyState === 1) {
       session.teacherWs.send(JSON.stringify({
         type: 'game-started',
-        sessionCode
+        sessionCode,
+        arenaId: session.arenaId,
+        botEliminates: session.botEliminates,
+        tournamentMode: session.tournamentMode,
+        bracketSeeding: session.bracketSeeding
       }));
     }
 
@@ -428,33 +497,15 @@ class GameManager {
     this.startPlayerStatsUpdates(sessionCode);
   }
 
-  // Start periodic player stats updates for teacher
+  // Start the teacher's stats stream: a full snapshot now, deltas as stats change
   startPlayerStatsUpdates(sessionCode) {
-    const session = activeSessions.get(sessionCode);
-    if (!session) return;
-
-    // Clear any existing interval
-    if (session.statsUpdateInterval) {
-      clearInterval(session.statsUpdateInterval);
-    }
-
-    // Send stats every 2 seconds
-    session.statsUpdateInterval = setInterval(() => {
-      this.sendPlayerStatsToTeacher(sessionCode);
-    }, 2000);
-
-    // Send initial stats immediately
-    this.sendPlayerStatsToTeacher(sessionCode);
+    this.sendFullPlayerStats(sessionCode);
   }
 
-  // Send player stats to teacher
-  sendPlayerStatsToTeacher(sessionCode) {
-    const session = activeSessions.get(sessionCode);
-    if (!session || !session.teacherWs) return;
-
-    if (session.teacherWs.readyState !== 1) return; // WebSocket.OPEN
-
-    const stats = Array.from(session.players.values()).map(player => ({
+  // Stats of one player as shown on the teacher dashboard
+  buildPlayerStats(player) {
+    const matchManager = require('./matchManager');
+    return {
       studentId: player.studentId,
       studentName: player.studentName,
       studentNickname: player.studentNickname,
@@ -462,37 +513,165 @@ class GameManager {
       correctAnswers: player.correctAnswers || 0,
       cardsAnswered: player.cardsAnswered || 0,
       damage: player.damage || 5,
-      hp: player.hp || 200,
+      hp: player.hp ?? 200,
+      maxHp: player.maxHp || 200,
       damageDealt: player.damageDealt || 0,
-      damageReceived: player.damageReceived || 0
-    }));
+      damageReceived: player.damageReceived || 0,
+      lastResponseMs: player.lastResponseMs ?? null,
+      avgResponseMs: player.responseCount ? Math.round(player.totalResponseMs / player.responseCount) : null,
+      timedOutCards: player.timedOutCards || 0,
+      online: player.online !== false,
+      offlineSince: player.offlineSince || null,
+      movementViolations: player.movementViolations || 0,
+      rating: player.rating ?? null,
+      bracketSeed: player.bracketSeed ?? null,
+      bracketPlace: player.bracketPlace ?? null,
+      inQueue: !!player.inQueue,
+      matchId: player.matchId || null,
+      eliminated: !!player.eliminated,
+      statusEffects: player.matchId
+        ? matchManager.getPlayerEffects(player.matchId, player.studentId).map(({ type, stacks }) => ({ type, stacks }))
+        : []
+    };
+  }
+
+  // Send every player's stats to the teacher and make them the base for later deltas
+  sendFullPlayerStats(sessionCode) {
+    const session = activeSessions.get(sessionCode);
+    if (!session) return;
+
+    this.clearStatsFlush(session);
+    if (!session.teacherWs || session.teacherWs.readyState !== WebSocket.OPEN) return;
+
+    const stats = Array.from(session.players.values()).map(player => this.buildPlayerStats(player));
+    session.statsVersion = (session.statsVersion || 0) + 1;
+    session.statsSent = new Map(stats.map(entry => [String(entry.studentId), entry]));
 
     session.teacherWs.send(JSON.stringify({
       type: 'player-stats-update',
+      full: true,
+      version: session.statsVersion,
       stats
     }));
   }
 
+  // Player stats changed - schedule a delta to the teacher.
+  // Calls within STATS_COALESCE_MS are merged into one message.
+  sendPlayerStatsToTeacher(sessionCode) {
+    const session = activeSessions.get(sessionCode);
+    if (!session || session.statsFlushTimer) return;
+
+    session.statsFlushTimer = setTimeout(() => {
+      session.statsFlushTimer = null;
+      this.flushPlayerStats(sessionCode);
+    }, STATS_COALESCE_MS);
+  }
+
+  // Send the fields that changed since the last update
+  flushPlayerStats(sessionCode) {
+    const session = activeSessions.get(sessionCode);
+    if (!session || !session.teacherWs || session.teacherWs.readyState !== WebSocket.OPEN) return;
+
+    // No base yet - the dashboard needs a full snapshot first
+    if (!session.statsSent) {
+      this.sendFullPlayerStats(sessionCode);
+      return;
+    }
+
+    const changes = {};
+    const seen = new Set();
+    let changed = false;
+
+    for (const player of session.players.values()) {
+      const studentId = String(player.studentId);
+      const current = this.buildPlayerStats(player);
+      const previous = session.statsSent.get(studentId);
+      seen.add(studentId);
+
+      if (!previous) {
+        changes[studentId] = current;
+        changed = true;
+      } else {
+        const fields = {};
+        let playerChanged = false;
+        for (const [key, value] of Object.entries(current)) {
+          if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+            fields[key] = value;
+            playerChanged = true;
+          }
+        }
+        if (!playerChanged) continue;
+        changes[studentId] = fields;
+        changed = true;
+      }
+      session.statsSent.set(studentId, current);
+    }
+
+    const removed = [...session.statsSent.keys()].filter(studentId => !seen.has(studentId));
+    removed.forEach(studentId => session.statsSent.delete(studentId));
+
+    if (!changed && removed.length === 0) return;
+
+    session.statsVersion++;
+    session.teacherWs.send(JSON.stringify({
+      type: 'player-stats-delta',
+      version: session.statsVersion,
+      baseVersion: session.statsVersion - 1,
+      changes,
+      removed
+    }));
+  }
+
+  // Dashboard detected a gap in versions - send a fresh full snapshot
+  async handleStatsResync(ws, payload) {
+    const session = activeSessions.get(payload.sessionCode);
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
+
+    if (!this.isSessionTeacher(ws, session) || session.teacherWs !== ws) {
+      sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'Only the teacher can request stats');
+      return;
+    }
+
+    this.sendFullPlayerStats(payload.sessionCode);
+  }
+
+  // Cancel a pending stats delta
+  clearStatsFlush(session) {
+    if (session.statsFlushTimer) {
+      clearTimeout(session.statsFlushTimer);
+      session.statsFlushTimer = null;
+    }
+  }
+
   // Handle finish game (from teacher)
   async handleFinishGame(ws, payload) {
     const { sessionCode } = payload;
     const session = activeSessions.get(sessionCode);
-    if (!session) return;
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
 
-    // Check if user is teacher
-    if (ws.userRole !== 'teacher') {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Only teacher can finish the game'
-      }));
+    // Check if user is this session's teacher
+    if (!this.isSessionTeacher(ws, session)) {
+      sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'Only teacher can finish the game');
       return;
     }
 
     // Stop stats updates
-    if (session.statsUpdateInterval) {
-      clearInterval(session.statsUpdateInterval);
-      session.statsUpdateInterval = null;
-    }
+    this.clearStatsFlush(session);
+
+    // Offline players no longer need expiring, and card deadlines no longer apply
+    session.players.forEach(player => {
+      if (player.offlineTimer) {
+        clearTimeout(player.offlineTimer);
+        player.offlineTimer = null;
+      }
+      this.clearCardTimer(player);
+    });
 
     // Notify all players that game is finished
     session.players.forEach(player => {
@@ -525,82 +704,402 @@ class GameManager {
     }
 
     // Clean up session
+    this.clearTeacherOfflineTimer(session);
     activeSessions.delete(sessionCode);
   }
 
+  // Load the game's questions into the session (answer keys stay server-side)
+  async ensureQuestionsLoaded(session) {
+    if (session.questions.length > 0) return;
+
+    session.questions = await sql`
+      SELECT id, question_id, question_text, question_image_url,
+             option_a, option_b, option_c, option_d, correct_answer
+      FROM mini_game_questions
+      WHERE game_id = ${session.gameId}
+      ORDER BY question_id
+    `;
+  }
+
+  // Deal a player a random set of 3 questions and send them without answer keys
+  async startCardPhase(session, player, extra = {}) {
+    await this.ensureQuestionsLoaded(session);
+
+    const randomQuestions = getRandomQuestions(session.questions, 3);
+
+    // Remember exactly what was dealt - only these can be answered, once each
+    this.clearCardTimer(player);
+    player.cardPhase = {
+      questionIds: randomQuestions.map(q => q.question_id),
+      answered: new Map(), // String(questionId) -> isCorrect
+      completed: false,
+      startedAt: Date.now(),
+      timeLimitMs: this.getCardTimeLimit(session),
+      cardStartedAt: null, // When the clock for the current card started
+      cardDeadline: null,
+      deadlineTimer: null
+    };
+    this.startCardClock(session, player);
+
+    if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+      player.ws.send(JSON.stringify({
+        type: 'start-card-phase',
+        questions: serializeQuestions(randomQuestions, 'student'),
+        timeLimitMs: player.cardPhase.timeLimitMs,
+        cardDeadline: player.cardPhase.cardDeadline,
+        ...extra
+      }));
+    }
+    this.sendPlayerStatsToTeacher(session.sessionCode);
+  }
+
+  // Per-card time limit for a session
+  getCardTimeLimit(session) {
+    return session.cardTimeLimitMs || CARD_TIME_LIMIT_MS;
+  }
+
+  // Start the deadline for the player's next unanswered card
+  startCardClock(session, player) {
+    const phase = player.cardPhase;
+    this.clearCardTimer(player);
+
+    phase.cardStartedAt = Date.now();
+    phase.cardDeadline = phase.cardStartedAt + phase.timeLimitMs;
+    phase.deadlineTimer = setTimeout(() => {
+      this.handleCardTimeout(session, player);
+    }, phase.timeLimitMs);
+  }
+
+  // Cancel the running card deadline
+  clearCardTimer(player) {
+    if (player.cardPhase?.deadlineTimer) {
+      clearTimeout(player.cardPhase.deadlineTimer);
+      player.cardPhase.deadlineTimer = null;
+    }
+  }
+
+  // Card deadline passed - auto-fail the next unanswered card
+  handleCardTimeout(session, player) {
+    const phase = player.cardPhase;
+    if (!phase || phase.completed) return;
+    phase.deadlineTimer = null;
+
+    const questionId = phase.questionIds.find(id => !phase.answered.has(String(id)));
+    if (questionId === undefined) return;
+
+    phase.answered.set(String(questionId), false);
+    player.cardsAnswered++;
+    player.timedOutCards = (player.timedOutCards || 0) + 1;
+    this.recordResponseTime(player, phase.timeLimitMs);
+
+    const cardsRemaining = phase.questionIds.length - phase.answered.size;
+    if (cardsRemaining > 0) {
+      this.startCardClock(session, player);
+    }
+
+    if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+      player.ws.send(JSON.stringify({
+        type: 'card-timeout',
+        questionId,
+        currentDamage: player.damage,
+        cardsRemaining,
+        nextCardDeadline: cardsRemaining > 0 ? phase.cardDeadline : null
+      }));
+    }
+
+    if (cardsRemaining === 0) {
+      this.completeCardPhase(player);
+    }
+
+    this.sendPlayerStatsToTeacher(session.sessionCode);
+  }
+
+  // Mark the phase complete and tell the player they can queue
+  completeCardPhase(player) {
+    const phase = player.cardPhase;
+    phase.completed = true;
+    this.clearCardTimer(player);
+
+    if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+      player.ws.send(JSON.stringify({
+        type: 'cards-complete',
+        correctAnswers: player.correctAnswers,
+        finalDamage: player.damage
+      }));
+    }
+  }
+
+  // Keep response times for the teacher's stats
+  recordResponseTime(player, responseMs) {
+    player.lastResponseMs = responseMs;
+    player.totalResponseMs = (player.totalResponseMs || 0) + responseMs;
+    player.responseCount = (player.responseCount || 0) + 1;
+  }
+
+  // Re-send a reconnecting player's current card phase instead of dealing a new one
+  async resumeCardPhase(session, player, extra = {}) {
+    const phase = player.cardPhase;
+    if (!phase) {
+      await this.startCardPhase(session, player, extra);
+      return;
+    }
+
+    if (!player.ws || player.ws.readyState !== WebSocket.OPEN) return;
+
+    if (phase.completed) {
+      player.ws.send(JSON.stringify({
+        type: 'cards-complete',
+        correctAnswers: player.correctAnswers,
+        finalDamage: player.damage
+      }));
+      return;
+    }
+
+    const dealtQuestions = phase.questionIds
+      .map(id => session.questions.find(q => q.question_id === id))
+      .filter(Boolean);
+    player.ws.send(JSON.stringify({
+      type: 'start-card-phase',
+      questions: serializeQuestions(dealtQuestions, 'student'),
+      answeredQuestionIds: phase.questionIds.filter(id => phase.answered.has(String(id))),
+      timeLimitMs: phase.timeLimitMs,
+      cardDeadline: phase.cardDeadline,
+      ...extra
+    }));
+  }
+
   // Handle card answer
   async handleCardAnswer(ws, payload) {
     const { sessionCode, questionId, answer, studentId } = payload;
     const session = activeSessions.get(sessionCode);
-    if (!session) return;
+    if (!session) {
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
+      return;
+    }
 
     const player = session.players.get(studentId);
-    if (!player) return;
+    if (!player) {
+      sendError(ws, ErrorCodes.PLAYER_NOT_FOUND, 'Player not found in session');
+      return;
+    }
+
+    const rejectAnswer = (code, message) => sendError(ws, code, message, {
+      field: 'questionId',
+      messageType: 'card-answered'
+    });
+
+    const phase = player.cardPhase;
+    if (!phase) {
+      rejectAnswer(ErrorCodes.NO_CARD_PHASE, 'No card phase in progress');
+      return;
+    }
+
+    if (phase.completed) {
+      rejectAnswer(ErrorCodes.CARD_PHASE_COMPLETE, 'All cards for this phase have already been answered');
+      return;
+    }
+
+    // Only questions dealt to this player in this phase count, and each only once
+    const dealtId = String(questionId);
+    if (!phase.questionIds.some(id => String(id) === dealtId)) {
+      rejectAnswer(ErrorCodes.QUESTION_NOT_DEALT, 'This question was not dealt to you');
+      return;
+    }
+
+    if (phase.answered.has(dealtId)) {
+      rejectAnswer(ErrorCodes.QUESTION_ALREADY_ANSWERED, 'This question has already been answered');
+      return;
+    }
 
     // Find question
-    const question = session.questions.find(q => q.question_id === questionId);
-    if (!question) return;
+    const question = session.questions.find(q => String(q.question_id) === dealtId);
+    if (!question) {
+      rejectAnswer(ErrorCodes.QUESTION_NOT_DEALT, 'Question not found');
+      return;
+    }
 
-    const isCorrect = question.correct_answer === answer;
+    const now = Date.now();
+    const responseMs = Math.min(now - phase.cardStartedAt, phase.timeLimitMs);
+    const isCorrect = question.correct_answer === answer && now <= phase.cardDeadline;
+    phase.answered.set(dealtId, isCorrect);
     player.cardsAnswered++;
+    this.recordResponseTime(player, responseMs);
 
+    // Faster correct answers earn more bonus damage
+    let speedBonus = 0;
     if (isCorrect) {
+      speedBonus = Math.round(MAX_SPEED_BONUS * (1 - responseMs / phase.timeLimitMs));
       player.correctAnswers++;
-      player.damage += 5; // Add 5 points per correct answer
+      player.damage += 5 + speedBonus; // Add 5 points per correct answer
     }
 
-    // Send result to student
+    const cardsRemaining = phase.questionIds.length - phase.answered.size;
+    if (cardsRemaining > 0) {
+      this.startCardClock(session, player);
+    }
+
+    // Send result to student - the answer key is only revealed after submitting
     ws.send(JSON.stringify({
       type: 'card-result',
       questionId,
       isCorrect,
+      correctAnswer: question.correct_answer,
       currentDamage: player.damage,
-      cardsRemaining: 3 - player.cardsAnswered
+      speedBonus,
+      responseMs,
+      cardsRemaining,
+      nextCardDeadline: cardsRemaining > 0 ? phase.cardDeadline : null
     }));
 
-    // If all 3 cards answered, notify ready for queue
-    if (player.cardsAnswered === 3) {
-      ws.send(JSON.stringify({
-        type: 'cards-complete',
-        correctAnswers: player.correctAnswers,
-        finalDamage: player.damage
-      }));
+    // If all dealt cards answered, notify ready for queue
+    if (cardsRemaining === 0) {
+      this.completeCardPhase(player);
     }
     
     // Update teacher stats immediately when card is answered
     this.sendPlayerStatsToTeacher(sessionCode);
   }
 
+  // Push a discrete event to the teacher's live activity feed
+  sendTeacherEvent(sessionCode, event, data = {}) {
+    this.broadcastToTeacher(sessionCode, {
+      type: 'teacher-event',
+      event,
+      timestamp: Date.now(),
+      ...data
+    });
+  }
+
   // Broadcast to teacher
   broadcastToTeacher(sessionCode, message) {
     const session = activeSessions.get(sessionCode);
     if (!session) return;
 
-    // Find teacher's WebSocket (would need to track this)
-    // For now, broadcast to all connections in session
-    session.players.forEach((player) => {
-      if (player.ws.readyState === WebSocket.OPEN) {
-        player.ws.send(JSON.stringify(message));
-      }
-    });
+    if (session.teacherWs && session.teacherWs.readyState === WebSocket.OPEN) {
+      session.teacherWs.send(JSON.stringify(message));
+    }
   }
 
-  // Handle disconnection
-  async handleDisconnect(sessionCode, userId) {
+  // Handle disconnection.
+  // Students and the teacher are kept as offline until PLAYER_OFFLINE_TIMEOUT_MS passes so they can resume.
+  async handleDisconnect(sessionCode, userId, ws) {
     const session = activeSessions.get(sessionCode);
     if (!session) return;
 
-    session.players.delete(userId);
+    if (ws && ws.userRole === 'teacher') {
+      // Ignore close events from dashboards that were already replaced by a reconnect
+      if (session.teacherWs !== ws) return;
 
-    // If no players left, mark session as inactive
-    if (session.players.size === 0) {
-      await sql`
-        UPDATE mini_game_sessions
-        SET status = 'cancelled'
-        WHERE session_code = ${sessionCode}
-      `;
-      activeSessions.delete(sessionCode);
+      session.teacherWs = null;
+      this.clearTeacherOfflineTimer(session);
+      session.teacherOfflineTimer = setTimeout(() => {
+        session.teacherOfflineTimer = null;
+        this.cancelSessionIfAbandoned(sessionCode).catch(error => {
+          console.error('[GameManager] Error cancelling abandoned session:', error);
+        });
+      }, PLAYER_OFFLINE_TIMEOUT_MS);
+      return;
     }
+
+    const player = session.players.get(userId);
+    if (!player) return;
+
+    // Ignore close events from sockets that were already replaced by a reconnect
+    if (ws && player.ws !== ws) return;
+
+    player.online = false;
+    player.offlineSince = Date.now();
+
+    if (player.offlineTimer) {
+      clearTimeout(player.offlineTimer);
+    }
+    player.offlineTimer = setTimeout(() => {
+      this.expireOfflinePlayer(sessionCode, userId).catch(error => {
+        console.error('[GameManager] Error expiring offline player:', error);
+      });
+    }, PLAYER_OFFLINE_TIMEOUT_MS);
+
+    this.broadcastToTeacher(sessionCode, {
+      type: 'player-offline',
+      studentId: player.studentId,
+      studentNickname: player.studentNickname,
+      offlineSince: player.offlineSince
+    });
+    this.sendPlayerStatsToTeacher(sessionCode);
+  }
+
+  // Player reconnected before their offline timeout
+  markPlayerOnline(sessionCode, player) {
+    if (player.offlineTimer) {
+      clearTimeout(player.offlineTimer);
+      player.offlineTimer = null;
+    }
+    const offlineForMs = player.offlineSince ? Date.now() - player.offlineSince : 0;
+    player.online = true;
+    player.offlineSince = null;
+
+    this.broadcastToTeacher(sessionCode, {
+      type: 'player-online',
+      studentId: player.studentId,
+      studentNickname: player.studentNickname,
+      offlineForMs
+    });
+    this.sendPlayerStatsToTeacher(sessionCode);
+  }
+
+  // Offline timeout passed - drop the player from the session
+  async expireOfflinePlayer(sessionCode, studentId) {
+    const session = activeSessions.get(sessionCode);
+    if (!session) return;
+
+    const player = session.players.get(studentId);
+    if (!player || player.online) return;
+
+    console.log(`[GameManager] Player ${studentId} offline for ${PLAYER_OFFLINE_TIMEOUT_MS}ms, removing from session ${sessionCode}`);
+    this.clearCardTimer(player);
+    session.players.delete(studentId);
+    this.sendPlayerStatsToTeacher(sessionCode);
+
+    this.broadcastToTeacher(sessionCode, {
+      type: 'player-left',
+      studentId,
+      studentNickname: player.studentNickname,
+      playerCount: session.players.size
+    });
+    this.broadcastLobbyUpdate(sessionCode);
+
+    // Their bracket opponents win by walkover without having to wait in the queue
+    const bracketManager = require('./bracketManager');
+    await bracketManager.handlePlayerLeft(sessionCode);
+
+    await this.cancelSessionIfAbandoned(sessionCode);
+  }
+
+  // Teacher reconnected (or the session is going away) - stop their offline countdown
+  clearTeacherOfflineTimer(session) {
+    if (!session.teacherOfflineTimer) return;
+
+    clearTimeout(session.teacherOfflineTimer);
+    session.teacherOfflineTimer = null;
+  }
+
+  // Cancel the session once no students remain and the teacher is gone too
+  // (a teacher still inside their offline timeout may come back)
+  async cancelSessionIfAbandoned(sessionCode) {
+    const session = activeSessions.get(sessionCode);
+    if (!session) return;
+
+    const teacherConnected = session.teacherWs && session.teacherWs.readyState === WebSocket.OPEN;
+    if (session.players.size > 0 || teacherConnected || session.teacherOfflineTimer) return;
+
+    this.clearStatsFlush(session);
+
+    await sql`
+      UPDATE mini_game_sessions
+      SET status = 'cancelled'
+      WHERE session_code = ${sessionCode}
+    `;
+    activeSessions.delete(sessionCode);
   }
 
   // Generate unique session code
@@ -608,6 +1107,13 @@ class GameManager {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
   }
 
+  // Check that a socket's token belongs to the teacher who owns the session
+  isSessionTeacher(ws, session) {
+    return ws.userRole === 'teacher' &&
+      session != null &&
+      String(session.teacherId) === String(ws.userId);
+  }
+
   // Get session
   getSession(sessionCode) {
     return activeSessions.get(sessionCode);
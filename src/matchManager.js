@@ -1,11 +1,54 @@
 const { neon } = require('@neondatabase/serverless');
 const WebSocket = require('ws');
+const projectiles = require('./projectiles');
+const snapshots = require('./snapshots');
+const characters = require('./characters');
+const spells = require('./spells');
+const arenas = require('./arenas');
+const statusEffects = require('./statusEffects');
+const replayManager = require('./replayManager');
+const matchmaking = require('./matchmaking');
+const bracketManager = require('./bracketManager');
+const { ErrorCodes, sendError } = require('./errors');
 
 const sql = neon(process.env.NEON_DATABASE_URL);
 
 // Store active matches
 const activeMatches = new Map();
 
+// Match simulation rate (ticks per second)
+const MATCH_TICK_RATE = Number(process.env.MATCH_TICK_RATE) || 20;
+const MATCH_TICK_MS = 1000 / MATCH_TICK_RATE;
+
+// Round length
+const ROUND_DURATION_MS = 20000;
+
+// Default match format: best of N rounds (the teacher can override it per session)
+const MATCH_BEST_OF = Number(process.env.MATCH_BEST_OF) || 1;
+
+// What happens when the round timer runs out with both players alive:
+//   'draw'         - nobody wins, both go back to the card phase (default)
+//   'hp_percent'   - the player with the higher share of their max HP wins
+//   'sudden_death' - overtime with rising spell damage, then HP share decides
+const ROUND_TIMEOUT_RULES = ['draw', 'hp_percent', 'sudden_death'];
+const ROUND_TIMEOUT_RULE = ROUND_TIMEOUT_RULES.includes(process.env.ROUND_TIMEOUT_RULE)
+  ? process.env.ROUND_TIMEOUT_RULE
+  : 'draw';
+
+// Sudden death overtime length and how fast spell damage grows during it
+const SUDDEN_DEATH_DURATION_MS = 15000;
+const SUDDEN_DEATH_RAMP_PER_SECOND = 0.25;
+
+// How long a disconnected player has to reconnect before forfeiting the match
+const MATCH_RECONNECT_GRACE_MS = Number(process.env.MATCH_RECONNECT_GRACE_MS) || 15000;
+
+// Log every client hit report next to the server's view of it (noisy - for debugging only)
+const DEBUG_SPELL_HITS = process.env.DEBUG_SPELL_HITS === 'true';
+
+// Movement checks: a move may cover up to moveSpeed * elapsed * tolerance, plus some slack for jitter
+const MOVE_SPEED_TOLERANCE = 1.25;
+const MOVE_DISTANCE_SLACK = 10;
+
 class MatchManager {
   // Create a 1v1 match
   async createMatch(sessionCode, player1, player2) {
@@ -15,20 +58,44 @@ class MatchManager {
     const gameManager = require('./gameManager');
     const session = gameManager.getSession(sessionCode);
     
+    const bestOf = session?.bestOf || MATCH_BEST_OF;
+
     const p1Data = session ? session.players.get(player1.studentId) : null;
     const p2Data = session ? session.players.get(player2.studentId) : null;
+
+    // Character stats decide HP, movement speed, damage and allowed spells
+    const p1Character = characters.resolveCharacter(player1.selectedCharacter);
+    const p2Character = characters.resolveCharacter(player2.selectedCharacter);
+
+    // Bots aren't session players - their HP comes from the queue entry
+    const p1Hp = p1Data?.hp || player1.hp || p1Character.baseHp;
+    const p2Hp = p2Data?.hp || player2.hp || p2Character.baseHp;
+
+    // The session's arena, or a random one when the teacher didn't pick
+    const arena = arenas.resolveArena(session?.arenaId || arenas.getRandomArenaId());
     
     const match = {
       id: matchId,
       sessionCode,
+      arena,
       player1: {
         id: player1.studentId,
         ws: player1.ws,
         nickname: player1.studentNickname,
-        character: player1.selectedCharacter,
-        hp: p1Data?.hp || 200,
+        character: p1Character.id,
+        isBot: !!player1.isBot,
+        hp: p1Hp,
+        startHp: p1Hp, // HP when the match began (restored after a non-eliminating bot loss)
+        maxHp: p1Data?.maxHp || player1.maxHp || p1Character.baseHp,
         damage: player1.damage || 5,
-        position: { x: 100, y: 300 }, // Left side
+        damageMultiplier: p1Character.damageMultiplier,
+        moveSpeed: p1Character.moveSpeed,
+        spells: p1Character.spells,
+        mana: spells.MAX_MANA,
+        cooldowns: {}, // spellType -> timestamp when it can be cast again
+        shield: null, // { amount, expiresAt }
+        effects: [], // Active status effects (see statusEffects.js)
+        position: { ...arena.spawns.player1 },
         ready: false,
         correctAnswers: p1Data?.correctAnswers || 0
       },
@@ -36,20 +103,57 @@ class MatchManager {
         id: player2.studentId,
         ws: player2.ws,
         nickname: player2.studentNickname,
-        character: player2.selectedCharacter,
-        hp: p2Data?.hp || 200,
+        character: p2Character.id,
+        isBot: !!player2.isBot,
+        hp: p2Hp,
+        startHp: p2Hp, // HP when the match began (restored after a non-eliminating bot loss)
+        maxHp: p2Data?.maxHp || player2.maxHp || p2Character.baseHp,
         damage: player2.damage || 5,
-        position: { x: 700, y: 300 }, // Right side
+        damageMultiplier: p2Character.damageMultiplier,
+        moveSpeed: p2Character.moveSpeed,
+        spells: p2Character.spells,
+        mana: spells.MAX_MANA,
+        cooldowns: {}, // spellType -> timestamp when it can be cast again
+        shield: null, // { amount, expiresAt }
+        effects: [], // Active status effects (see statusEffects.js)
+        position: { ...arena.spawns.player2 },
         ready: false,
         correctAnswers: p2Data?.correctAnswers || 0
       },
+      isBot: !!(player1.isBot || player2.isBot), // One side is a server-controlled bot
+      createdAt: Date.now(),
       currentRound: 0,
+      bestOf,
+      roundWins: { player1: 0, player2: 0 },
       roundTimer: null,
-      status: 'waiting', // waiting, active, completed
-      activeSpells: []
+      status: 'waiting', // waiting, active, paused, ending, completed
+      activeSpells: [],
+      spectators: new Set(), // Sockets watching the match (read-only)
+      tick: 0,
+      loop: null,
+      snapshotHistory: new Map() // tick -> snapshot, for delta compression
     };
 
     activeMatches.set(matchId, match);
+    replayManager.startRecording(match);
+
+    // Session players remember their match so reconnects know where they are
+    if (p1Data) p1Data.matchId = matchId;
+    if (p2Data) p2Data.matchId = matchId;
+    gameManager.sendPlayerStatsToTeacher(sessionCode);
+
+    gameManager.sendTeacherEvent(sessionCode, 'match-created', {
+      matchId,
+      arenaId: arena.id,
+      bestOf,
+      isBot: match.isBot,
+      player1: { id: match.player1.id, nickname: match.player1.nickname, character: match.player1.character, isBot: match.player1.isBot },
+      player2: { id: match.player2.id, nickname: match.player2.nickname, character: match.player2.character, isBot: match.player2.isBot }
+    });
+
+    // Players who were watching another match stop spectating it
+    this.stopSpectating(player1.ws);
+    this.stopSpectating(player2.ws);
 
     // Store match ID in WebSocket
     player1.ws.matchId = matchId;
@@ -64,15 +168,15 @@ class MatchManager {
   async handleRoundReady(ws, payload) {
     const { matchId } = payload;
     const match = activeMatches.get(matchId);
-    if (!match) return;
+    if (!match || match.status !== 'waiting') return;
 
     const player = match[ws.playerId];
     if (!player) return;
 
     player.ready = true;
 
-    // If both players ready, start round
-    if (match.player1.ready && match.player2.ready) {
+    // If both players ready (and connected), start round
+    if (this.canStartRound(match)) {
       this.startRound(matchId);
     }
   }
@@ -89,17 +193,101 @@ class MatchManager {
     // Update WebSocket reference (in case of reconnection)
     player.ws = ws;
 
-    // Update position (validate bounds - own half only)
-    player.position = this.validatePosition(position, ws.playerId);
+    const now = Date.now();
+    const from = player.lastAcceptedPosition || player.position;
+    const accepted = this.validatePosition(match, ws.playerId, from, position);
 
-    // Broadcast to opponent
-    const opponent = ws.playerId === 'player1' ? match.player2 : match.player1;
-    if (opponent.ws?.readyState === WebSocket.OPEN) {
-      opponent.ws.send(JSON.stringify({
-        type: 'opponent-move',
-        position: player.position,
-        playerId: ws.playerId
-      }));
+    // Reject moves that cover more ground than the character could since the last accepted move
+    const elapsedSeconds = Math.max(MATCH_TICK_MS, now - (player.lastMoveAt || now)) / 1000;
+    const maxDistanceAt = (multiplier) => player.moveSpeed * multiplier *
+      elapsedSeconds * MOVE_SPEED_TOLERANCE + MOVE_DISTANCE_SLACK;
+    const maxDistance = maxDistanceAt(statusEffects.getMoveMultiplier(player, now));
+    const distance = Math.hypot(accepted.x - from.x, accepted.y - from.y);
+
+    if (distance > maxDistance) {
+      // Only moves beyond the character's normal speed are counted; slow, freeze and stun
+      // just hold the player back (clients keep sending moves while an effect lands)
+      const tooFast = distance > maxDistanceAt(1);
+      replayManager.record(match.id, 'move', { p: ws.playerId, x: position.x, y: position.y, rejected: true });
+      if (tooFast) {
+        this.recordMovementViolation(match, player, distance, maxDistanceAt(1));
+      }
+      player.inputPosition = null;
+      player.lastAcceptedPosition = { ...player.position };
+      player.lastMoveAt = now;
+      this.sendPositionCorrection(match, player, tooFast ? 'speed' : 'status-effect');
+      return;
+    }
+
+    // Store as movement input (validated against the arena - own zone only)
+    // The match loop moves the player towards it and snapshots carry the result
+    player.inputPosition = accepted;
+    player.lastAcceptedPosition = accepted;
+    player.lastMoveAt = now;
+    replayManager.record(match.id, 'move', { p: ws.playerId, x: accepted.x, y: accepted.y });
+
+    // Out of bounds moves are clamped - tell the client where it really is going
+    if (accepted.x !== position.x || accepted.y !== position.y) {
+      this.sendPositionCorrection(match, player, 'bounds');
+    }
+  }
+
+  // Count a too-fast move (kept on the match and the session player for review)
+  recordMovementViolation(match, player, distance, maxDistance) {
+    player.movementViolations = (player.movementViolations || 0) + 1;
+
+    const gameManager = require('./gameManager');
+    const sessionPlayer = gameManager.getSession(match.sessionCode)?.players.get(player.id);
+    if (sessionPlayer) {
+      sessionPlayer.movementViolations = (sessionPlayer.movementViolations || 0) + 1;
+      gameManager.sendPlayerStatsToTeacher(match.sessionCode);
+    }
+
+    console.warn('[MatchManager] Movement violation:', {
+      matchId: match.id,
+      playerId: player.id,
+      distance: Math.round(distance),
+      maxDistance: Math.round(maxDistance),
+      violations: player.movementViolations
+    });
+  }
+
+  // Tell a client its authoritative position after a rejected or clamped move
+  sendPositionCorrection(match, player, reason) {
+    if (player.ws?.readyState !== WebSocket.OPEN) return;
+
+    player.ws.send(JSON.stringify({
+      type: 'position-correction',
+      matchId: match.id,
+      tick: match.tick,
+      reason,
+      position: {
+        x: Math.round(player.position.x),
+        y: Math.round(player.position.y)
+      },
+      target: player.inputPosition,
+      violations: player.movementViolations || 0
+    }));
+  }
+
+  // Start movement checks from the player's current position
+  resetMovementTracking(player, now) {
+    player.lastAcceptedPosition = { ...player.position };
+    player.lastMoveAt = now;
+  }
+
+  // Handle snapshot acknowledgement (client has applied state up to `tick`)
+  async handleStateAck(ws, payload) {
+    const { matchId, tick } = payload;
+    const match = activeMatches.get(matchId);
+    if (!match) return;
+
+    const player = match[ws.playerId];
+    if (!player) return;
+
+    // Ignore acks for ticks we haven't sent yet or that arrive out of order
+    if (tick <= match.tick && tick > (player.ackedTick ?? -1)) {
+      player.ackedTick = tick;
     }
   }
 
@@ -125,52 +313,85 @@ class MatchManager {
 
     const player = match[ws.playerId];
     if (!player) return;
+
+    const definition = spells.getSpell(spellType);
+    if (!definition) {
+      sendError(ws, ErrorCodes.UNKNOWN_SPELL, `Unknown spell type '${spellType}'`, {
+        field: 'spellType',
+        messageType: 'spell-cast'
+      });
+      return;
+    }
+
+    // Only the character's own spells can be cast
+    if (!player.spells.includes(spellType)) {
+      sendError(ws, ErrorCodes.SPELL_NOT_ALLOWED, `${player.character} cannot cast ${spellType}`, {
+        field: 'spellType',
+        messageType: 'spell-cast'
+      });
+      return;
+    }
     
-    // Check cooldown
+    // Stunned players can't cast
     const now = Date.now();
-    if (now - (player.lastSpellCastTime || 0) < 1000) return;
-    player.lastSpellCastTime = now;
+    if (!statusEffects.canCast(player, now)) {
+      sendError(ws, ErrorCodes.PLAYER_STUNNED, 'Cannot cast while stunned', {
+        messageType: 'spell-cast'
+      });
+      return;
+    }
 
-    // Calculate spell damage
-    const damage = this.calculateSpellDamage(spellType, player.damage);
+    // Check this spell's cooldown
+    const readyAt = player.cooldowns[spellType] || 0;
+    if (now < readyAt) {
+      sendError(ws, ErrorCodes.SPELL_ON_COOLDOWN, `${spellType} is on cooldown`, {
+        field: 'spellType',
+        messageType: 'spell-cast',
+        remainingMs: readyAt - now
+      });
+      return;
+    }
 
-    // Create spell projectile - offset from player position to avoid immediate collision
-    const offsetDistance = 40;
-    const opponent = ws.playerId === 'player1' ? match.player2 : match.player1;
-    
-    // Calculate offset direction (towards opponent)
-    let startPosition;
-    if (direction === 1) {
-      // Moving right/up - offset in that direction
-      startPosition = {
-        x: player.position.x + offsetDistance,
-        y: player.position.y
-      };
-    } else {
-      // Moving left/down - offset in that direction
-      startPosition = {
-        x: player.position.x - offsetDistance,
-        y: player.position.y
-      };
+    // Check mana
+    if (player.mana < definition.manaCost) {
+      sendError(ws, ErrorCodes.INSUFFICIENT_MANA, `Not enough mana for ${spellType}`, {
+        field: 'spellType',
+        messageType: 'spell-cast',
+        mana: Math.floor(player.mana),
+        manaCost: definition.manaCost
+      });
+      return;
     }
-    
-    // Calculate target position (opponent's position)
-    const targetPosition = { ...opponent.position };
-    
+
+    player.mana -= definition.manaCost;
+    player.cooldowns[spellType] = now + definition.cooldownMs;
+
     const spell = {
       id: `spell_${Date.now()}_${Math.random().toString(36).substring(7)}`,
       type: spellType,
-      startPosition,
-      targetPosition,
-      direction,
-      damage,
-      speed: spellType === 'fire_arrow' ? 10 : 5,
+      effect: definition.effect,
       owner: ws.playerId,
       casterId: ws.playerId, // Also include casterId for client compatibility
-      createdAt: Date.now()
+      createdAt: now
     };
 
-    match.activeSpells.push(spell);
+    if (definition.effect === 'projectile') {
+      Object.assign(spell, this.createProjectile(match, ws.playerId, definition, direction));
+      match.activeSpells.push(spell);
+    } else if (definition.effect === 'shield') {
+      spell.amount = Math.floor(player.damage * player.damageMultiplier * definition.absorbMultiplier);
+      spell.expiresAt = now + definition.durationMs;
+      player.shield = { amount: spell.amount, expiresAt: spell.expiresAt };
+    } else if (definition.effect === 'heal') {
+      const before = player.hp;
+      player.hp = Math.min(player.maxHp, player.hp + Math.floor(player.damage * definition.healMultiplier));
+      spell.amount = player.hp - before;
+      spell.player1Hp = match.player1.hp;
+      spell.player2Hp = match.player2.hp;
+      this.syncSessionHp(match, player);
+    }
+    spell.casterMana = Math.floor(player.mana);
+    replayManager.record(match.id, 'cast', { p: ws.playerId, spellId: spell.id, spellType, direction });
 
     // Update WebSocket reference for the caster (in case of reconnection)
     if (ws.playerId === 'player1') {
@@ -222,6 +443,7 @@ class MatchManager {
           wsType: typeof match.player2.ws
         });
       }
+      this.sendToSpectators(match, message);
     } catch (error) {
       console.error('[MatchManager] ❌ ERROR during broadcast:', error);
       console.error('[MatchManager] Error stack:', error.stack);
@@ -230,27 +452,322 @@ class MatchManager {
     console.log('[MatchManager] ========== BROADCAST COMPLETE ==========');
   }
 
-  // Handle spell hit (called from client collision detection)
-  async handleSpellHit(matchId, spellId, hitPlayerId) {
+  // Build a projectile fired from a player towards the opponent's current position
+  createProjectile(match, playerId, definition, direction) {
+    const player = match[playerId];
+    const opponent = playerId === 'player1' ? match.player2 : match.player1;
+
+    // Offset from player position to avoid immediate collision
+    const offsetDistance = 40;
+    const startPosition = {
+      x: player.position.x + (direction === 1 ? offsetDistance : -offsetDistance),
+      y: player.position.y
+    };
+
+    // Calculate target position (opponent's position)
+    const targetPosition = { ...opponent.position };
+
+    return {
+      startPosition,
+      targetPosition,
+      position: { ...startPosition }, // Current simulated position
+      velocity: projectiles.calculateVelocity(startPosition, targetPosition, definition.speed, direction),
+      direction,
+      damage: this.calculateSpellDamage(definition, player.damage, player.damageMultiplier),
+      speed: definition.speed,
+      statusEffects: definition.statusEffects || []
+    };
+  }
+
+  // Copy a match player's HP to their session player (leaderboard / teacher stats)
+  syncSessionHp(match, player) {
+    const gameManager = require('./gameManager');
+    const sessionPlayer = gameManager.getSession(match.sessionCode)?.players.get(player.id);
+    if (sessionPlayer) {
+      sessionPlayer.hp = player.hp;
+      gameManager.sendPlayerStatsToTeacher(match.sessionCode);
+    }
+  }
+
+  // Handle spell hit reported by a client.
+  // Hits are decided by the server simulation; reports are only logged for comparison.
+  async handleSpellHitReport(ws, payload) {
+    if (!DEBUG_SPELL_HITS) return;
+
+    const { matchId, spellId, hitPlayerId } = payload;
+    const match = activeMatches.get(matchId);
+    if (!match || !match[ws.playerId]) return;
+
+    const spell = match.activeSpells.find(s => s.id === spellId);
+    console.log('[MatchManager] Client reported spell hit (advisory):', {
+      matchId,
+      spellId,
+      reportedBy: ws.playerId,
+      hitPlayerId,
+      spellStillActive: !!spell,
+      serverDistance: spell && match[hitPlayerId]
+        ? Math.round(Math.hypot(
+          match[hitPlayerId].position.x - spell.position.x,
+          match[hitPlayerId].position.y - spell.position.y
+        ))
+        : null
+    });
+  }
+
+  // Start the fixed-tick match loop for a round
+  startMatchLoop(matchId) {
     const match = activeMatches.get(matchId);
     if (!match) return;
 
-    const spellIndex = match.activeSpells.findIndex(s => s.id === spellId);
-    if (spellIndex === -1) return;
+    this.stopMatchLoop(match);
+    match.loop = setInterval(() => {
+      this.runTick(matchId).catch(error => {
+        console.error('[MatchManager] Match tick error:', error);
+      });
+    }, MATCH_TICK_MS);
+  }
+
+  // Stop the match loop (round end, match end)
+  stopMatchLoop(match) {
+    if (match.loop) {
+      clearInterval(match.loop);
+      match.loop = null;
+    }
+  }
+
+  // One simulation step: movement, status effects, projectiles, then state snapshots
+  async runTick(matchId) {
+    const match = activeMatches.get(matchId);
+    if (!match || match.status !== 'active') return;
+
+    match.tick++;
+    const now = Date.now();
+
+    this.integrateMovement(match, 'player1', MATCH_TICK_MS / 1000, now);
+    this.integrateMovement(match, 'player2', MATCH_TICK_MS / 1000, now);
+    this.regenerateMana(match.player1, MATCH_TICK_MS / 1000);
+    this.regenerateMana(match.player2, MATCH_TICK_MS / 1000);
+
+    await this.processStatusEffects(match, now);
+
+    // Damage over time may have ended the match
+    if (!activeMatches.has(matchId) || match.status !== 'active') return;
+
+    await this.simulateSpells(match, now);
+
+    // A hit during this tick may have ended the round or match
+    if (activeMatches.has(matchId) && match.status === 'active') {
+      this.sendSnapshots(match);
+    }
+  }
+
+  // Move a player towards their latest input, capped by their character's movement speed
+  // (slowed, frozen or stunned players move slower or not at all)
+  integrateMovement(match, playerId, deltaSeconds, now = Date.now()) {
+    const player = match[playerId];
+    if (!player.inputPosition) return;
+
+    const dx = player.inputPosition.x - player.position.x;
+    const dy = player.inputPosition.y - player.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const maxStep = player.moveSpeed * statusEffects.getMoveMultiplier(player, now) * deltaSeconds;
+
+    // The input was checked from the last accepted position, which can differ from where
+    // the player is now - sweep the actual step too so it can't cut through an obstacle
+    const step = distance <= maxStep
+      ? player.inputPosition
+      : {
+        x: player.position.x + (dx / distance) * maxStep,
+        y: player.position.y + (dy / distance) * maxStep
+      };
+    const reached = arenas.sweepMove(match.arena, playerId, player.position, step);
+
+    player.position = reached;
+    if (distance <= maxStep || reached.x !== step.x || reached.y !== step.y) {
+      player.inputPosition = null;
+    }
+  }
+
+  // Deal damage over time and expire finished effects for both players
+  async processStatusEffects(match, now) {
+    const gameManager = require('./gameManager');
+
+    for (const playerId of ['player1', 'player2']) {
+      const player = match[playerId];
+      const opponent = playerId === 'player1' ? match.player2 : match.player1;
+      const { damage, expired } = statusEffects.tickEffects(player, now);
+
+      if (damage > 0) {
+        player.hp = Math.max(0, player.hp - damage);
+        player.damageReceived = (player.damageReceived || 0) + damage;
+        opponent.damageDealt = (opponent.damageDealt || 0) + damage;
+
+        const session = gameManager.getSession(match.sessionCode);
+        if (session) {
+          const sessionPlayer = session.players.get(player.id);
+          const sessionOpponent = session.players.get(opponent.id);
+          if (sessionPlayer) {
+            sessionPlayer.damageReceived = (sessionPlayer.damageReceived || 0) + damage;
+            sessionPlayer.hp = player.hp;
+          }
+          if (sessionOpponent) {
+            sessionOpponent.damageDealt = (sessionOpponent.damageDealt || 0) + damage;
+          }
+        }
+
+        replayManager.record(match.id, 'effect-damage', { p: playerId, effect: 'burn', damage, hp: player.hp });
+        this.broadcastToMatch(match, {
+          type: 'status-effect',
+          action: 'damage',
+          playerId,
+          effect: 'burn',
+          damage,
+          player1Hp: match.player1.hp,
+          player2Hp: match.player2.hp
+        });
+
+        if (player.hp <= 0) {
+          await this.endRound(match.id, { result: 'win', winnerId: opponent.id, reason: 'knockout' });
+          return;
+        }
+      }
+
+      for (const effect of expired) {
+        this.broadcastToMatch(match, {
+          type: 'status-effect',
+          action: 'expired',
+          playerId,
+          effect
+        });
+      }
+
+      if (damage > 0 || expired.length > 0) {
+        gameManager.sendPlayerStatsToTeacher(match.sessionCode);
+      }
+    }
+  }
+
+  // Refill a player's mana over time
+  regenerateMana(player, deltaSeconds) {
+    player.mana = Math.min(spells.MAX_MANA, player.mana + spells.MANA_REGEN_PER_SECOND * deltaSeconds);
+  }
+
+  // Send each player a snapshot, delta-compressed against the last tick they acknowledged
+  sendSnapshots(match) {
+    const snapshot = snapshots.buildSnapshot(match);
+    snapshots.storeSnapshot(match.snapshotHistory, match.tick, snapshot);
+    if (replayManager.isKeyframeTick(match.tick)) {
+      replayManager.record(match.id, 'state', { tick: match.tick, state: snapshot });
+    }
+
+    for (const player of [match.player1, match.player2]) {
+      if (player.ws?.readyState !== WebSocket.OPEN) continue;
+
+      const base = match.snapshotHistory.get(player.ackedTick);
+      const message = base
+        ? { type: 'state', tick: match.tick, baseTick: player.ackedTick, delta: snapshots.diffSnapshot(base, snapshot) }
+        : { type: 'state', tick: match.tick, full: true, state: snapshot };
+      player.ws.send(JSON.stringify(message));
+    }
+
+    // Spectators don't acknowledge snapshots - they always get the full state
+    this.sendToSpectators(match, { type: 'state', tick: match.tick, full: true, state: snapshot });
+  }
+
+  // Advance every active spell and resolve collisions against player hitboxes
+  async simulateSpells(match, now) {
+    const remaining = [];
+    const hits = [];
+
+    for (const spell of match.activeSpells) {
+      const from = spell.position;
+      const to = projectiles.getSpellPosition(spell, now);
+      spell.position = to;
+
+      // Spells only collide with the caster's opponent
+      const targetKey = spell.owner === 'player1' ? 'player2' : 'player1';
+      const hitsTarget = projectiles.sweptHit(from, to, match[targetKey].position);
+
+      // Obstacles block spells unless the target is reached first
+      const blockedAt = this.findObstacleHit(match.arena, from, to);
+      if (blockedAt !== null &&
+        (!hitsTarget || blockedAt < projectiles.closestSegmentParameter(match[targetKey].position, from, to))) {
+        spell.position = {
+          x: from.x + (to.x - from.x) * blockedAt,
+          y: from.y + (to.y - from.y) * blockedAt
+        };
+        replayManager.record(match.id, 'blocked', { spellId: spell.id, x: spell.position.x, y: spell.position.y });
+        this.broadcastToMatch(match, { type: 'spell-blocked', spellId: spell.id, position: spell.position });
+        continue;
+      }
+
+      if (hitsTarget) {
+        hits.push({ spell, targetKey });
+        continue;
+      }
+
+      if (projectiles.isSpellExpired(spell, to, now, match.arena)) {
+        this.broadcastToMatch(match, { type: 'spell-expired', spellId: spell.id });
+        continue;
+      }
+
+      remaining.push(spell);
+    }
 
-    const spell = match.activeSpells[spellIndex];
+    match.activeSpells = remaining;
+
+    for (const { spell, targetKey } of hits) {
+      // A previous hit in this step may have ended the match
+      if (!activeMatches.has(match.id) || match.status !== 'active') break;
+      await this.applySpellHit(match, spell, targetKey);
+    }
+  }
+
+  // Earliest point (0..1) along from -> to where a spell touches an arena obstacle, or null
+  findObstacleHit(arena, from, to) {
+    let earliest = null;
+    for (const obstacle of arena.obstacles) {
+      const t = projectiles.sweptRectHit(from, to, obstacle);
+      if (t !== null && (earliest === null || t < earliest)) {
+        earliest = t;
+      }
+    }
+    return earliest;
+  }
+
+  // Apply an authoritative spell hit
+  async applySpellHit(match, spell, hitPlayerId) {
     const hitPlayer = match[hitPlayerId];
     const caster = match[spell.owner];
 
     if (!hitPlayer || !caster) return;
 
-    // Remove spell and apply damage
-    match.activeSpells.splice(spellIndex, 1);
-    hitPlayer.hp = Math.max(0, hitPlayer.hp - spell.damage);
+    const now = Date.now();
+
+    // An active shield absorbs damage first (sudden death overtime scales damage up)
+    let damage = Math.floor(spell.damage * this.getSuddenDeathMultiplier(match, now));
+    let absorbed = 0;
+    if (hitPlayer.shield && hitPlayer.shield.expiresAt > now) {
+      absorbed = Math.min(hitPlayer.shield.amount, damage);
+      hitPlayer.shield.amount -= absorbed;
+      damage -= absorbed;
+      if (hitPlayer.shield.amount <= 0) hitPlayer.shield = null;
+    }
+
+    hitPlayer.hp = Math.max(0, hitPlayer.hp - damage);
+
+    // Status effects from the spell, plus a stun from heavy hits
+    const effectTypes = [...(spell.statusEffects || [])];
+    if (damage >= statusEffects.STUN_DAMAGE_THRESHOLD) {
+      effectTypes.push('stun');
+    }
+    const appliedEffects = hitPlayer.hp > 0
+      ? effectTypes.filter(type => statusEffects.applyEffect(hitPlayer, type, now, spell.damage))
+      : [];
 
     // Track damage stats
-    caster.damageDealt = (caster.damageDealt || 0) + spell.damage;
-    hitPlayer.damageReceived = (hitPlayer.damageReceived || 0) + spell.damage;
+    caster.damageDealt = (caster.damageDealt || 0) + damage;
+    hitPlayer.damageReceived = (hitPlayer.damageReceived || 0) + damage;
     
     // Update session player stats for leaderboard
     const gameManager = require('./gameManager');
@@ -260,12 +777,12 @@ class MatchManager {
       const hitPlayerSession = session.players.get(hitPlayer.id);
       
       if (casterPlayer) {
-        casterPlayer.damageDealt = (casterPlayer.damageDealt || 0) + spell.damage;
+        casterPlayer.damageDealt = (casterPlayer.damageDealt || 0) + damage;
         casterPlayer.hp = caster.hp; // Update HP from match
       }
       
       if (hitPlayerSession) {
-        hitPlayerSession.damageReceived = (hitPlayerSession.damageReceived || 0) + spell.damage;
+        hitPlayerSession.damageReceived = (hitPlayerSession.damageReceived || 0) + damage;
         hitPlayerSession.hp = hitPlayer.hp; // Update HP from match
       }
       
@@ -273,26 +790,216 @@ class MatchManager {
       gameManager.sendPlayerStatsToTeacher(match.sessionCode);
     }
 
-    // Broadcast HP update
-    const message = {
+    gameManager.sendTeacherEvent(match.sessionCode, 'spell-hit', {
+      matchId: match.id,
+      spellType: spell.type,
+      casterNickname: caster.nickname,
+      targetNickname: hitPlayer.nickname,
+      damage,
+      absorbed,
+      effects: appliedEffects,
+      targetHp: hitPlayer.hp
+    });
+
+    replayManager.record(match.id, 'hit', {
+      spellId: spell.id,
+      target: hitPlayerId,
+      damage,
+      absorbed,
+      effects: appliedEffects,
+      hp: hitPlayer.hp
+    });
+
+    // Broadcast authoritative hit with HP update
+    this.broadcastToMatch(match, {
       type: 'spell-hit',
-      spellId,
+      spellId: spell.id,
+      hitPlayerId,
+      damage,
+      absorbed,
+      effects: appliedEffects,
+      position: spell.position,
+      authoritative: true,
       player1Hp: match.player1.hp,
       player2Hp: match.player2.hp
-    };
+    });
+
+    // A knockout wins the round (and ends the match - the loser has no HP left)
+    if (hitPlayer.hp <= 0) {
+      await this.endRound(match.id, { result: 'win', winnerId: caster.id, reason: 'knockout' });
+    }
+  }
+
+  // Send a message to both players of a match (and its spectators)
+  broadcastToMatch(match, message) {
+    const data = JSON.stringify(message);
     if (match.player1.ws?.readyState === WebSocket.OPEN) {
-      match.player1.ws.send(JSON.stringify(message));
+      match.player1.ws.send(data);
     }
     if (match.player2.ws?.readyState === WebSocket.OPEN) {
-      match.player2.ws.send(JSON.stringify(message));
+      match.player2.ws.send(data);
     }
+    this.sendToSpectators(match, message);
+  }
 
-    // Check for game end
-    if (hitPlayer.hp <= 0) {
-      await this.endMatch(matchId, caster.id);
+  // Send a message to everyone spectating a match
+  sendToSpectators(match, message) {
+    if (match.spectators.size === 0) return;
+
+    const data = JSON.stringify(message);
+    for (const spectator of match.spectators) {
+      if (spectator.readyState === WebSocket.OPEN) {
+        spectator.send(data);
+      }
+    }
+  }
+
+  // Subscribe a socket to a live match's stream without letting it act.
+  // The session's teacher can watch any of its matches; students only once eliminated or while queued.
+  async handleSpectateMatch(ws, payload) {
+    const { matchId } = payload;
+    const match = activeMatches.get(matchId);
+    if (!match || match.sessionCode !== ws.sessionCode || match.status === 'completed') {
+      sendError(ws, ErrorCodes.MATCH_NOT_FOUND, 'Match not found', {
+        field: 'matchId',
+        messageType: 'spectate-match'
+      });
+      return;
+    }
+
+    if (!this.canSpectate(ws)) {
+      sendError(ws, ErrorCodes.SPECTATE_NOT_ALLOWED, 'Only the teacher, eliminated or queued students can spectate', {
+        messageType: 'spectate-match'
+      });
+      return;
+    }
+
+    // One match at a time
+    this.stopSpectating(ws);
+    match.spectators.add(ws);
+    ws.spectatingMatchId = matchId;
+
+    ws.send(JSON.stringify({
+      type: 'spectate-start',
+      ...this.describeMatchState(match)
+    }));
+
+    console.log(`[MatchManager] ${ws.userId} is spectating ${matchId} (${match.spectators.size} spectators)`);
+  }
+
+  // Whether a socket may spectate matches in its session
+  canSpectate(ws) {
+    const gameManager = require('./gameManager');
+    const session = gameManager.getSession(ws.sessionCode);
+    if (ws.userRole === 'teacher') return gameManager.isSessionTeacher(ws, session);
+    if (ws.matchId && activeMatches.has(ws.matchId)) return false; // Playing a match
+
+    const player = session?.players.get(ws.userId);
+    return !!player && (player.eliminated || player.inQueue);
+  }
+
+  async handleStopSpectating(ws) {
+    const matchId = ws.spectatingMatchId;
+    if (!this.stopSpectating(ws)) return;
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'spectate-end', matchId, reason: 'stopped' }));
     }
   }
 
+  // Remove a socket from the match it is watching (also on disconnect). Returns true if it was watching one
+  stopSpectating(ws) {
+    if (!ws || !ws.spectatingMatchId) return false;
+
+    const match = activeMatches.get(ws.spectatingMatchId);
+    if (match) {
+      match.spectators.delete(ws);
+    }
+    ws.spectatingMatchId = null;
+    return true;
+  }
+
+  // Tell spectators the match is over and drop them
+  releaseSpectators(match) {
+    this.sendToSpectators(match, { type: 'spectate-end', matchId: match.id, reason: 'match-ended' });
+    for (const spectator of match.spectators) {
+      spectator.spectatingMatchId = null;
+    }
+    match.spectators.clear();
+  }
+
+  // Detach both players' sockets from a finished match
+  releasePlayers(match) {
+    for (const player of [match.player1, match.player2]) {
+      if (player.ws && player.ws.matchId === match.id) {
+        player.ws.matchId = null;
+        player.ws.playerId = null;
+      }
+    }
+  }
+
+  // Live matches of the requesting socket's session
+  async handleListMatches(ws) {
+    const gameManager = require('./gameManager');
+    if (ws.userRole === 'teacher' && !gameManager.isSessionTeacher(ws, gameManager.getSession(ws.sessionCode))) {
+      sendError(ws, ErrorCodes.NOT_SESSION_TEACHER, 'You are not the teacher of this session', {
+        messageType: 'list-matches'
+      });
+      return;
+    }
+
+    const matches = [];
+    for (const match of activeMatches.values()) {
+      if (match.sessionCode !== ws.sessionCode || match.status === 'completed') continue;
+
+      const describePlayer = (p) => ({
+        id: p.id,
+        nickname: p.nickname,
+        character: p.character,
+        hp: p.hp,
+        maxHp: p.maxHp,
+        isBot: p.isBot
+      });
+      matches.push({
+        matchId: match.id,
+        isBot: match.isBot,
+        status: match.status,
+        round: match.currentRound,
+        bestOf: match.bestOf,
+        roundWins: match.roundWins,
+        arenaId: match.arena.id,
+        player1: describePlayer(match.player1),
+        player2: describePlayer(match.player2),
+        spectators: match.spectators.size
+      });
+    }
+
+    ws.send(JSON.stringify({
+      type: 'match-list',
+      matches,
+      canSpectate: this.canSpectate(ws)
+    }));
+  }
+
+  // Check whether the round-ready handshake is complete
+  canStartRound(match) {
+    return match.player1.ready && match.player2.ready &&
+      !match.player1.disconnected && !match.player2.disconnected;
+  }
+
+  // (Re)start the round timer with the given time left
+  startRoundTimer(match, remainingMs) {
+    if (match.roundTimer) {
+      clearTimeout(match.roundTimer);
+    }
+    match.roundEndsAt = Date.now() + remainingMs;
+    match.roundTimer = setTimeout(() => {
+      this.handleRoundTimeout(match.id).catch(error => {
+        console.error('[MatchManager] Round timeout error:', error);
+      });
+    }, remainingMs);
+  }
+
   // Start round
   startRound(matchId) {
     const match = activeMatches.get(matchId);
@@ -305,35 +1012,129 @@ class MatchManager {
     
     // Clear previous round spells
     match.activeSpells = [];
+    match.suddenDeath = false;
+
+    // Every round starts with full mana, no cooldowns and no shield (HP carries over)
+    for (const player of [match.player1, match.player2]) {
+      player.mana = spells.MAX_MANA;
+      player.cooldowns = {};
+      player.shield = null;
+    }
 
     // Set round timer (20 seconds)
-    match.roundTimer = setTimeout(() => {
-      this.endRound(matchId);
-    }, 20000);
+    this.startRoundTimer(match, ROUND_DURATION_MS);
+
+    // Fresh snapshot stream for the round - clients start from a full state
+    match.snapshotHistory.clear();
+    match.player1.ackedTick = null;
+    match.player2.ackedTick = null;
+    match.player1.inputPosition = null;
+    match.player2.inputPosition = null;
+    this.resetMovementTracking(match.player1, Date.now());
+    this.resetMovementTracking(match.player2, Date.now());
 
-    // Notify both players
-    if (match.player1.ws.readyState === WebSocket.OPEN) {
-      match.player1.ws.send(JSON.stringify({
-        type: 'round-start',
+    // Server simulates movement and spells for the whole round
+    this.startMatchLoop(matchId);
+    const gameManager = require('./gameManager');
+    gameManager.sendTeacherEvent(match.sessionCode, 'round-start', {
+      matchId,
+      round: match.currentRound,
+      player1Nickname: match.player1.nickname,
+      player2Nickname: match.player2.nickname
+    });
+
+    replayManager.record(matchId, 'round-start', {
+      round: match.currentRound,
+      player1Hp: match.player1.hp,
+      player2Hp: match.player2.hp
+    });
+
+    // Notify both players (and spectators)
+    this.broadcastToMatch(match, {
+      type: 'round-start',
+      round: match.currentRound,
+      bestOf: match.bestOf,
+      roundWins: match.roundWins,
+      duration: ROUND_DURATION_MS,
+      tickRate: MATCH_TICK_RATE,
+      player1Hp: match.player1.hp,
+      player2Hp: match.player2.hp
+    });
+  }
+
+  // Round timer ran out with both players alive - resolve it with the session's timeout rule
+  async handleRoundTimeout(matchId) {
+    const match = activeMatches.get(matchId);
+    if (!match || match.status !== 'active') return;
+
+    const gameManager = require('./gameManager');
+    const rule = gameManager.getSession(match.sessionCode)?.roundTimeoutRule || ROUND_TIMEOUT_RULE;
+
+    // First timeout under sudden death starts overtime instead of ending the round
+    if (rule === 'sudden_death' && !match.suddenDeath) {
+      match.suddenDeath = true;
+      this.startRoundTimer(match, SUDDEN_DEATH_DURATION_MS);
+      replayManager.record(matchId, 'sudden-death', { round: match.currentRound });
+      this.broadcastToMatch(match, {
+        type: 'sudden-death',
         round: match.currentRound,
-        duration: 20000,
-        player1Hp: match.player1.hp,
-        player2Hp: match.player2.hp
-      }));
+        duration: SUDDEN_DEATH_DURATION_MS,
+        damageRampPerSecond: SUDDEN_DEATH_RAMP_PER_SECOND
+      });
+      return;
     }
-    if (match.player2.ws.readyState === WebSocket.OPEN) {
-      match.player2.ws.send(JSON.stringify({
-        type: 'round-start',
-        round: match.currentRound,
-        duration: 20000,
-        player1Hp: match.player1.hp,
-        player2Hp: match.player2.hp
-      }));
+
+    let outcome;
+    if (rule === 'draw') {
+      outcome = { result: 'draw', winnerId: null, reason: 'draw' };
+    } else {
+      // HP share decides (also after sudden death overtime)
+      const p1Share = match.player1.hp / match.player1.maxHp;
+      const p2Share = match.player2.hp / match.player2.maxHp;
+      const reason = match.suddenDeath ? 'sudden_death' : 'hp_percent';
+      if (p1Share === p2Share) {
+        outcome = { result: 'draw', winnerId: null, reason };
+      } else {
+        outcome = { result: 'win', winnerId: p1Share > p2Share ? match.player1.id : match.player2.id, reason };
+      }
+    }
+
+    await this.endRound(matchId, outcome);
+  }
+
+  // Spell damage multiplier during sudden death overtime (grows the longer it lasts)
+  getSuddenDeathMultiplier(match, now) {
+    if (!match.suddenDeath) return 1;
+
+    const remainingMs = match.status === 'paused'
+      ? match.roundRemainingMs
+      : Math.max(0, (match.roundEndsAt || now) - now);
+    const elapsedSeconds = (SUDDEN_DEATH_DURATION_MS - remainingMs) / 1000;
+    return 1 + elapsedSeconds * SUDDEN_DEATH_RAMP_PER_SECOND;
+  }
+
+  // Store a round outcome (round history)
+  async persistRoundResult(match, outcome) {
+    try {
+      await sql`
+        INSERT INTO mini_game_match_rounds (
+          session_code, match_id, round, result, reason, winner_student_id,
+          player1_student_id, player2_student_id, player1_hp, player2_hp, ended_at
+        ) VALUES (
+          ${match.sessionCode}, ${match.id}, ${match.currentRound}, ${outcome.result},
+          ${outcome.reason}, ${outcome.winnerId},
+          ${match.player1.id}, ${match.player2.id}, ${match.player1.hp}, ${match.player2.hp},
+          CURRENT_TIMESTAMP
+        )
+      `;
+    } catch (error) {
+      console.error('[MatchManager] Failed to store round result:', error.message);
     }
   }
 
   // End round
-  async endRound(matchId) {
+  // outcome: { result: 'win' | 'draw', winnerId, reason } decided by the round timeout rule
+  async endRound(matchId, outcome = { result: 'draw', winnerId: null, reason: 'draw' }) {
     const match = activeMatches.get(matchId);
     if (!match) return;
 
@@ -341,43 +1142,89 @@ class MatchManager {
       clearTimeout(match.roundTimer);
       match.roundTimer = null;
     }
+    this.stopMatchLoop(match);
+    this.clearGraceTimers(match);
+    statusEffects.clearEffects(match.player1);
+    statusEffects.clearEffects(match.player2);
 
-    match.status = 'waiting';
+    // Count the round for its winner and decide whether the match goes on
+    if (outcome.result === 'win') {
+      const winnerKey = outcome.winnerId === match.player1.id ? 'player1' : 'player2';
+      match.roundWins[winnerKey]++;
+    }
+    const matchWinnerId = this.getMatchWinnerId(match);
+    const knockedOut = match.player1.hp <= 0 || match.player2.hp <= 0;
+    const nextRound = matchWinnerId || knockedOut || match.currentRound >= match.bestOf
+      ? null
+      : match.currentRound + 1;
 
-    // Recalculate damage for next round (not stored, recalculated from cards)
-    // HP carries over
+    // Decided before any await: a round-ready arriving while the result is stored
+    // must not start a round on a match that is about to end
+    match.status = nextRound ? 'waiting' : 'ending';
+    match.player1.ready = false;
+    match.player2.ready = false;
 
-    // Notify both players
-    if (match.player1.ws.readyState === WebSocket.OPEN) {
-      match.player1.ws.send(JSON.stringify({
-        type: 'round-end',
-        round: match.currentRound,
-        player1Hp: match.player1.hp,
-        player2Hp: match.player2.hp
-      }));
-    }
-    if (match.player2.ws.readyState === WebSocket.OPEN) {
-      match.player2.ws.send(JSON.stringify({
-        type: 'round-end',
-        round: match.currentRound,
-        player1Hp: match.player1.hp,
-        player2Hp: match.player2.hp
-      }));
-    }
+    // HP carries over between rounds
+    replayManager.record(matchId, 'round-end', {
+      round: match.currentRound,
+      ...outcome,
+      roundWins: { ...match.roundWins },
+      player1Hp: match.player1.hp,
+      player2Hp: match.player2.hp
+    });
+
+    // Notify both players - with a next round, they answer with round-ready
+    this.broadcastToMatch(match, {
+      type: 'round-end',
+      round: match.currentRound,
+      ...outcome,
+      bestOf: match.bestOf,
+      roundWins: match.roundWins,
+      nextRound,
+      player1Hp: match.player1.hp,
+      player2Hp: match.player2.hp
+    });
 
     // After round ends, send players back to card phase for new questions
     // Then they can queue again for another match
     const gameManager = require('./gameManager');
     const session = gameManager.getSession(match.sessionCode);
+
+    gameManager.broadcastToTeacher(match.sessionCode, {
+      type: 'round-result',
+      matchId,
+      round: match.currentRound,
+      ...outcome,
+      bestOf: match.bestOf,
+      roundWins: match.roundWins,
+      player1: { id: match.player1.id, nickname: match.player1.nickname, hp: match.player1.hp },
+      player2: { id: match.player2.id, nickname: match.player2.nickname, hp: match.player2.hp }
+    });
+    gameManager.sendTeacherEvent(match.sessionCode, 'round-end', {
+      matchId,
+      round: match.currentRound,
+      ...outcome,
+      winnerNickname: outcome.winnerId ? this.getNickname(match, outcome.winnerId) : null,
+      roundWins: match.roundWins
+    });
+    await this.persistRoundResult(match, outcome);
     
     // If someone died, end the match properly first
-    if (match.player1.hp <= 0 || match.player2.hp <= 0) {
+    if (knockedOut) {
       const winnerId = match.player1.hp > 0 ? match.player1.id : match.player2.id;
       await this.endMatch(matchId, winnerId);
       return; // endMatch handles cleanup and sending messages
     }
+
+    if (matchWinnerId) {
+      await this.endMatch(matchId, matchWinnerId);
+      return;
+    }
+
+    // More rounds to play - wait for both players' round-ready
+    if (nextRound) return;
     
-    // Both players alive - send them back to card phase
+    // All rounds played without a winner - send both back to card phase
     if (session) {
       // Update player HP in session
       const p1 = session.players.get(match.player1.id);
@@ -399,34 +1246,36 @@ class MatchManager {
         p2.correctAnswers = 0; // Reset for new card phase
         p2.damage = 5; // Reset base damage
       }
+      gameManager.sendPlayerStatsToTeacher(match.sessionCode);
       
-      // Import getRandomQuestions helper from gameManager
-      // We'll use a simple shuffle here since we can't easily import the function
-      const getRandomQuestions = (questions, count) => {
-        const shuffled = [...questions].sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, Math.min(count, questions.length));
-      };
-      
-      const randomQuestions1 = getRandomQuestions(session.questions, 3);
-      const randomQuestions2 = getRandomQuestions(session.questions, 3);
-      
-      if (match.player1.ws?.readyState === WebSocket.OPEN) {
-        match.player1.ws.send(JSON.stringify({
-          type: 'start-card-phase',
-          questions: randomQuestions1
-        }));
-      }
-      
-      if (match.player2.ws?.readyState === WebSocket.OPEN) {
-        match.player2.ws.send(JSON.stringify({
-          type: 'start-card-phase',
-          questions: randomQuestions2
-        }));
-      }
+      // New questions are dealt (and stripped of answers) by the game manager
+      if (p1) await gameManager.startCardPhase(session, p1);
+      if (p2) await gameManager.startCardPhase(session, p2);
     }
     
     // Cleanup match
+    this.releaseSpectators(match);
+    this.releasePlayers(match);
     activeMatches.delete(matchId);
+    const queueManager = require('./queueManager');
+    queueManager.recordMatchDuration(match.sessionCode, Date.now() - match.createdAt);
+    bracketManager.handleMatchDrawn(match.sessionCode, matchId);
+    replayManager.record(matchId, 'match-end', { winnerId: null, roundWins: match.roundWins });
+    await replayManager.finishRecording(matchId, null);
+  }
+
+  // Id of the player who has won the match on rounds, or null while it's still open.
+  // Once all rounds are played, the player with more round wins takes it.
+  getMatchWinnerId(match) {
+    const winsNeeded = Math.floor(match.bestOf / 2) + 1;
+    const { player1, player2 } = match.roundWins;
+
+    if (player1 >= winsNeeded) return match.player1.id;
+    if (player2 >= winsNeeded) return match.player2.id;
+    if (match.currentRound >= match.bestOf && player1 !== player2) {
+      return player1 > player2 ? match.player1.id : match.player2.id;
+    }
+    return null;
   }
 
   // End match
@@ -438,29 +1287,71 @@ class MatchManager {
     if (match.roundTimer) {
       clearTimeout(match.roundTimer);
     }
+    this.stopMatchLoop(match);
+    this.clearGraceTimers(match);
+    statusEffects.clearEffects(match.player1);
+    statusEffects.clearEffects(match.player2);
 
     const winner = match[winnerId === match.player1.id ? 'player1' : 'player2'];
     const loser = match[winnerId === match.player1.id ? 'player2' : 'player1'];
 
+    replayManager.record(matchId, 'match-end', {
+      winnerId,
+      roundWins: match.roundWins,
+      player1Hp: match.player1.hp,
+      player2Hp: match.player2.hp
+    });
+    await replayManager.finishRecording(matchId, winnerId);
+
     // Update player HP in session
     const gameManager = require('./gameManager');
     const session = gameManager.getSession(match.sessionCode);
+    const winnerPlayer = session ? session.players.get(winner.id) : null;
+    const loserPlayer = session ? session.players.get(loser.id) : null;
+    // Losing to a bot only eliminates a student when the teacher turned that on
+    const loserEliminated = !loser.isBot && (!winner.isBot || !!session?.botEliminates);
     if (session) {
-      const winnerPlayer = session.players.get(winner.id);
-      const loserPlayer = session.players.get(loser.id);
-      
       if (winnerPlayer) {
         winnerPlayer.hp = winner.hp; // Update HP from match
         winnerPlayer.damageDealt = (winnerPlayer.damageDealt || 0) + (winner.damageDealt || 0);
+        winnerPlayer.matchId = null;
       }
       
       if (loserPlayer) {
-        loserPlayer.hp = 0; // Eliminated
+        loserPlayer.matchId = null;
         loserPlayer.damageReceived = (loserPlayer.damageReceived || 0) + (loser.damageReceived || 0);
-        loserPlayer.eliminated = true;
+        if (loserEliminated) {
+          loserPlayer.hp = 0; // Eliminated
+          loserPlayer.eliminated = true;
+        } else {
+          loserPlayer.hp = loser.startHp; // Keeps the HP they entered the match with
+        }
+      }
+      if (winnerPlayer && loserPlayer) {
+        matchmaking.updateRatings(winnerPlayer, loserPlayer);
       }
+      gameManager.sendPlayerStatsToTeacher(match.sessionCode);
     }
 
+    gameManager.sendTeacherEvent(match.sessionCode, 'match-end', {
+      matchId,
+      winnerNickname: winner.nickname,
+      loserNickname: loser.nickname,
+      roundWins: match.roundWins,
+      isBot: match.isBot
+    });
+    if (loserEliminated) {
+      gameManager.sendTeacherEvent(match.sessionCode, 'player-eliminated', {
+        matchId,
+        studentId: loser.id,
+        nickname: loser.nickname,
+        eliminatedBy: winner.nickname
+      });
+    }
+
+    // Bracket sessions move the winner on and place the loser
+    await bracketManager.recordResult(match.sessionCode, matchId, winner.id);
+
     // Get session data for database
     const sessionResult = await sql`
       SELECT id, game_id FROM mini_game_sessions WHERE session_code = ${match.sessionCode}
@@ -471,19 +1362,43 @@ class MatchManager {
       return;
     }
 
-    // Get student data for database
-    const winnerData = await sql`
+    // Get student data for database (bots have no user row)
+    const winnerData = winner.isBot ? [] : await sql`
       SELECT name, surname, grade, class, number FROM users WHERE student_id = ${winner.id}
     `;
-    const loserData = await sql`
+    const loserData = loser.isBot ? [] : await sql`
       SELECT name, surname, grade, class, number FROM users WHERE student_id = ${loser.id}
     `;
 
     const winnerUser = winnerData[0];
     const loserUser = loserData[0];
 
-    // Save results to database
-    if (winnerUser && loserUser) {
+    // Save results to database (bot matches only store the student's row, flagged as a bot match)
+    if (match.isBot) {
+      const human = winner.isBot ? loser : winner;
+      const humanUser = winner.isBot ? loserUser : winnerUser;
+      if (humanUser) {
+        try {
+          await sql`
+            INSERT INTO mini_game_results (
+              session_id, game_id, student_id, name, surname,
+              nickname, grade, class, number,
+              correct_cards, xp_earned, damage_dealt, damage_received,
+              final_place, final_hp, is_bot_match, completed_at
+            ) VALUES (
+              ${dbSession.id}, ${dbSession.game_id}, ${human.id},
+              ${humanUser.name}, ${humanUser.surname}, ${human.nickname},
+              ${humanUser.grade}, ${humanUser.class}, ${humanUser.number},
+              ${human.correctAnswers || 0}, ${(human.correctAnswers || 0) * 10},
+              ${human.damageDealt || 0}, ${human.damageReceived || 0},
+              ${human === winner ? 1 : 2}, ${human.hp}, true, CURRENT_TIMESTAMP
+            )
+          `;
+        } catch (error) {
+          console.error('[MatchManager] Failed to store bot match result:', error.message);
+        }
+      }
+    } else if (winnerUser && loserUser) {
       await sql`
         INSERT INTO mini_game_results (
           session_id, game_id, student_id, name, surname,
@@ -508,66 +1423,51 @@ class MatchManager {
       `;
     }
 
-    // Notify both players
-    if (match.player1.ws.readyState === WebSocket.OPEN) {
-      match.player1.ws.send(JSON.stringify({
-        type: 'match-end',
-        winner: winnerId,
-        results: {
-          player1: {
-            id: match.player1.id,
-            nickname: match.player1.nickname,
-            hp: match.player1.hp,
-            place: winnerId === match.player1.id ? 1 : 2,
-            correctAnswers: match.player1.correctAnswers,
-            damageDealt: match.player1.damageDealt || 0,
-            damageReceived: match.player1.damageReceived || 0
-          },
-          player2: {
-            id: match.player2.id,
-            nickname: match.player2.nickname,
-            hp: match.player2.hp,
-            place: winnerId === match.player2.id ? 1 : 2,
-            correctAnswers: match.player2.correctAnswers,
-            damageDealt: match.player2.damageDealt || 0,
-            damageReceived: match.player2.damageReceived || 0
-          }
-        }
-      }));
-    }
-    if (match.player2.ws.readyState === WebSocket.OPEN) {
-      match.player2.ws.send(JSON.stringify({
-        type: 'match-end',
-        winner: winnerId,
-        results: {
-          player1: {
-            id: match.player1.id,
-            nickname: match.player1.nickname,
-            hp: match.player1.hp,
-            place: winnerId === match.player1.id ? 1 : 2,
-            correctAnswers: match.player1.correctAnswers,
-            damageDealt: match.player1.damageDealt || 0,
-            damageReceived: match.player1.damageReceived || 0
-          },
-          player2: {
-            id: match.player2.id,
-            nickname: match.player2.nickname,
-            hp: match.player2.hp,
-            place: winnerId === match.player2.id ? 1 : 2,
-            correctAnswers: match.player2.correctAnswers,
-            damageDealt: match.player2.damageDealt || 0,
-            damageReceived: match.player2.damageReceived || 0
-          }
+    // Notify both players (and spectators)
+    this.broadcastToMatch(match, {
+      type: 'match-end',
+      winner: winnerId,
+      isBot: match.isBot,
+      bestOf: match.bestOf,
+      roundWins: match.roundWins,
+      eliminated: loserEliminated ? loser.id : null,
+      results: {
+        player1: {
+          id: match.player1.id,
+          nickname: match.player1.nickname,
+          isBot: match.player1.isBot,
+          hp: match.player1.hp,
+          place: winnerId === match.player1.id ? 1 : 2,
+          correctAnswers: match.player1.correctAnswers,
+          damageDealt: match.player1.damageDealt || 0,
+          damageReceived: match.player1.damageReceived || 0
+        },
+        player2: {
+          id: match.player2.id,
+          nickname: match.player2.nickname,
+          isBot: match.player2.isBot,
+          hp: match.player2.hp,
+          place: winnerId === match.player2.id ? 1 : 2,
+          correctAnswers: match.player2.correctAnswers,
+          damageDealt: match.player2.damageDealt || 0,
+          damageReceived: match.player2.damageReceived || 0
         }
-      }));
-    }
+      }
+    });
 
     // Cleanup
+    this.releaseSpectators(match);
+    this.releasePlayers(match);
     activeMatches.delete(matchId);
+    const queueManager = require('./queueManager');
+    queueManager.recordMatchDuration(match.sessionCode, Date.now() - match.createdAt);
 
     // Tournament system: Check if tournament should continue
     if (session) {
-      const activePlayers = Array.from(session.players.values()).filter(p => p.hp > 0 && !p.eliminated);
+      // With a bracket, students who joined after seeding don't keep the tournament going
+      const bracket = bracketManager.getBracket(match.sessionCode);
+      const activePlayers = Array.from(session.players.values()).filter(p => p.hp > 0 && !p.eliminated &&
+        (!bracket || bracketManager.isSeeded(match.sessionCode, p.studentId)));
       
       if (activePlayers.length > 1) {
         // Tournament continues - winner can re-enter queue if they have HP > 0
@@ -577,72 +1477,318 @@ class MatchManager {
         }
       } else if (activePlayers.length === 1) {
         // Tournament complete - one winner remains
-        const finalWinner = activePlayers[0];
-        
-        // Broadcast tournament end to all players
-        session.players.forEach((player) => {
-          if (player.ws && player.ws.readyState === WebSocket.OPEN) {
-            player.ws.send(JSON.stringify({
-              type: 'tournament-end',
-              winner: {
-                id: finalWinner.studentId,
-                nickname: finalWinner.studentNickname,
-                hp: finalWinner.hp,
-                correctAnswers: finalWinner.correctAnswers,
-                damageDealt: finalWinner.damageDealt || 0,
-                damageReceived: finalWinner.damageReceived || 0
-              }
-            }));
-          }
-        });
+        await this.endTournament(match.sessionCode, activePlayers[0]);
+      }
+    }
+  }
+
+  // Tell everyone the tournament is over and mark the session completed.
+  // finalWinner is a session player, or null when a bracket ended without a champion.
+  async endTournament(sessionCode, finalWinner) {
+    const gameManager = require('./gameManager');
+    const session = gameManager.getSession(sessionCode);
+    if (!session || session.tournamentEnded) return;
+    session.tournamentEnded = true;
 
-        // Mark session as completed
-        await sql`
-          UPDATE mini_game_sessions
-          SET status = 'completed', ended_at = CURRENT_TIMESTAMP
-          WHERE session_code = ${match.sessionCode}
-        `;
+    // Broadcast tournament end to all players
+    session.players.forEach((player) => {
+      if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+        player.ws.send(JSON.stringify({
+          type: 'tournament-end',
+          winner: finalWinner ? {
+            id: finalWinner.studentId,
+            nickname: finalWinner.studentNickname,
+            hp: finalWinner.hp,
+            correctAnswers: finalWinner.correctAnswers,
+            damageDealt: finalWinner.damageDealt || 0,
+            damageReceived: finalWinner.damageReceived || 0
+          } : null
+        }));
       }
+    });
+
+    gameManager.sendTeacherEvent(sessionCode, 'tournament-end', {
+      studentId: finalWinner ? finalWinner.studentId : null,
+      nickname: finalWinner ? finalWinner.studentNickname : null,
+      hp: finalWinner ? finalWinner.hp : null
+    });
+
+    // Mark session as completed
+    try {
+      await sql`
+        UPDATE mini_game_sessions
+        SET status = 'completed', ended_at = CURRENT_TIMESTAMP
+        WHERE session_code = ${sessionCode}
+      `;
+    } catch (error) {
+      console.error('[MatchManager] Failed to mark session completed:', error.message);
+    }
+  }
+
+  // Handle player disconnect during match.
+  // The match pauses and the player gets a grace window to reconnect before forfeiting.
+  async handlePlayerDisconnect(matchId, playerId, ws) {
+    const match = activeMatches.get(matchId);
+    if (!match || match.status === 'completed' || match.status === 'ending') return;
+
+    const player = match[playerId];
+    if (!player) return;
+
+    // Ignore close events from sockets that were already replaced by a reconnect
+    if (ws && player.ws !== ws) return;
+
+    player.disconnected = true;
+    player.disconnectedAt = Date.now();
+
+    this.pauseMatch(match);
+    replayManager.record(matchId, 'disconnect', { p: playerId });
+
+    const opponent = playerId === 'player1' ? match.player2 : match.player1;
+    if (opponent.ws?.readyState === WebSocket.OPEN) {
+      opponent.ws.send(JSON.stringify({
+        type: 'opponent-disconnected',
+        playerId,
+        graceMs: MATCH_RECONNECT_GRACE_MS,
+        roundRemainingMs: match.roundRemainingMs ?? null
+      }));
+    }
+
+    if (player.graceTimer) {
+      clearTimeout(player.graceTimer);
     }
+    player.graceTimer = setTimeout(() => {
+      this.handleGraceExpired(matchId, playerId).catch(error => {
+        console.error('[MatchManager] Grace expiry error:', error);
+      });
+    }, MATCH_RECONNECT_GRACE_MS);
+
+    console.log(`[MatchManager] ${player.id} disconnected from ${matchId}, waiting ${MATCH_RECONNECT_GRACE_MS}ms`);
   }
 
-  // Handle player disconnect during match
-  async handlePlayerDisconnect(matchId, playerId) {
+  // Player did not come back in time - opponent wins
+  async handleGraceExpired(matchId, playerId) {
     const match = activeMatches.get(matchId);
     if (!match) return;
 
-    // End match, opponent wins
+    const player = match[playerId];
+    player.graceTimer = null;
+    if (!player.disconnected) return;
+
+    console.log(`[MatchManager] ${player.id} did not reconnect to ${matchId}, forfeiting`);
     const opponentId = playerId === 'player1' ? match.player2.id : match.player1.id;
     await this.endMatch(matchId, opponentId);
   }
 
-  // Validate position (keep in own half)
-  validatePosition(position, playerId) {
-    const maxX = playerId === 'player1' ? 400 : 800;
-    const minX = playerId === 'player1' ? 0 : 400;
-    const maxY = 600;
-    const minY = 0;
+  // Re-bind a newly connected socket to the match its user is playing in
+  rebindPlayer(ws) {
+    for (const match of activeMatches.values()) {
+      if (match.sessionCode !== ws.sessionCode || match.status === 'completed') continue;
+
+      const playerId = match.player1.id === ws.userId ? 'player1'
+        : match.player2.id === ws.userId ? 'player2'
+          : null;
+      if (!playerId) continue;
+
+      const player = match[playerId];
+      if (player.ws && player.ws !== ws) {
+        // Detach the old socket so its close event doesn't pause the match again
+        player.ws.matchId = null;
+        player.ws.playerId = null;
+      }
+
+      player.ws = ws;
+      player.disconnected = false;
+      player.disconnectedAt = null;
+      player.ackedTick = null; // Next snapshot must be full
+      if (player.graceTimer) {
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+      }
+
+      ws.matchId = match.id;
+      ws.playerId = playerId;
+
+      // Keep the session's socket in sync so post-match messages reach the new connection
+      const gameManager = require('./gameManager');
+      const sessionPlayer = gameManager.getSession(match.sessionCode)?.players.get(player.id);
+      if (sessionPlayer) {
+        sessionPlayer.ws = ws;
+      }
+
+      this.sendResync(match, playerId);
+
+      const opponent = playerId === 'player1' ? match.player2 : match.player1;
+      if (opponent.ws?.readyState === WebSocket.OPEN) {
+        opponent.ws.send(JSON.stringify({
+          type: 'opponent-reconnected',
+          playerId
+        }));
+      }
+
+      console.log(`[MatchManager] ${ws.userId} reconnected to ${match.id} as ${playerId}`);
+      replayManager.record(match.id, 'reconnect', { p: playerId });
+
+      if (!match.player1.disconnected && !match.player2.disconnected) {
+        if (match.status === 'paused') {
+          this.resumeMatch(match);
+        } else if (match.status === 'waiting' && this.canStartRound(match)) {
+          this.startRound(match.id);
+        }
+      }
+      return match.id;
+    }
+    return null;
+  }
+
+  // Freeze the round: stop the loop and remember how much round time is left
+  pauseMatch(match) {
+    if (match.status !== 'active') return;
+
+    match.status = 'paused';
+    match.pausedAt = Date.now();
+    match.roundRemainingMs = Math.max(0, (match.roundEndsAt || match.pausedAt) - match.pausedAt);
+
+    if (match.roundTimer) {
+      clearTimeout(match.roundTimer);
+      match.roundTimer = null;
+    }
+    this.stopMatchLoop(match);
+  }
+
+  // Continue a paused round from where it stopped
+  resumeMatch(match) {
+    if (match.status !== 'paused') return;
+
+    const pausedFor = Date.now() - match.pausedAt;
+
+    // Spells are simulated from their creation time - shift them past the pause
+    for (const spell of match.activeSpells) {
+      spell.createdAt += pausedFor;
+    }
+    // Status effects don't run out while paused
+    statusEffects.shiftEffects(match.player1, pausedFor);
+    statusEffects.shiftEffects(match.player2, pausedFor);
+
+    // Time spent paused doesn't count towards movement
+    this.resetMovementTracking(match.player1, Date.now());
+    this.resetMovementTracking(match.player2, Date.now());
+
+    match.status = 'active';
+    match.pausedAt = null;
+    this.startRoundTimer(match, match.roundRemainingMs);
+    this.startMatchLoop(match.id);
+
+    this.broadcastToMatch(match, {
+      type: 'match-resumed',
+      round: match.currentRound,
+      roundRemainingMs: match.roundRemainingMs
+    });
+    match.roundRemainingMs = null;
+  }
+
+  // Send the complete match state to one player (after reconnecting)
+  sendResync(match, playerId) {
+    const player = match[playerId];
+    if (player.ws?.readyState !== WebSocket.OPEN) return;
+
+    player.ws.send(JSON.stringify({
+      type: 'match-resync',
+      playerId,
+      ...this.describeMatchState(match)
+    }));
+  }
+
+  // Complete match state (resyncs and new spectators)
+  describeMatchState(match) {
+    const describePlayer = (p) => ({
+      id: p.id,
+      nickname: p.nickname,
+      character: p.character,
+      hp: p.hp,
+      maxHp: p.maxHp,
+      mana: Math.floor(p.mana),
+      cooldowns: p.cooldowns,
+      shield: p.shield,
+      effects: statusEffects.serializeEffects(p, Date.now()),
+      damage: p.damage,
+      position: p.position,
+      ready: p.ready,
+      disconnected: !!p.disconnected,
+      isBot: p.isBot
+    });
 
     return {
-      x: Math.max(minX, Math.min(maxX, position.x)),
-      y: Math.max(minY, Math.min(maxY, position.y))
+      matchId: match.id,
+      isBot: match.isBot,
+      arena: arenas.describeArena(match.arena),
+      status: match.status,
+      round: match.currentRound,
+      bestOf: match.bestOf,
+      roundWins: match.roundWins,
+      suddenDeath: !!match.suddenDeath,
+      tick: match.tick,
+      tickRate: MATCH_TICK_RATE,
+      roundRemainingMs: match.status === 'paused'
+        ? match.roundRemainingMs
+        : Math.max(0, (match.roundEndsAt || 0) - Date.now()),
+      player1: describePlayer(match.player1),
+      player2: describePlayer(match.player2),
+      spells: match.activeSpells,
+      state: snapshots.buildSnapshot(match)
     };
   }
 
-  // Calculate spell damage
-  calculateSpellDamage(spellType, baseDamage) {
-    if (spellType === 'fire_arrow') {
-      return baseDamage;
-    } else if (spellType === 'water_spell') {
-      return Math.floor(baseDamage * 1.5);
+  // Cancel pending reconnect deadlines (round/match cleanup)
+  clearGraceTimers(match) {
+    for (const player of [match.player1, match.player2]) {
+      if (player.graceTimer) {
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+      }
     }
-    return baseDamage;
+  }
+
+  // Validate a move (keep in own zone of the arena, stop at the first obstacle on the way)
+  validatePosition(match, playerId, from, position) {
+    return arenas.sweepMove(match.arena, playerId, from, position);
+  }
+
+  // Calculate spell damage (card damage scaled by spell and character)
+  calculateSpellDamage(definition, baseDamage, characterMultiplier = 1) {
+    return Math.floor(baseDamage * characterMultiplier * (definition.damageMultiplier || 0));
+  }
+
+  // Active status effects of a student in a match (teacher stats)
+  getPlayerEffects(matchId, studentId) {
+    const match = activeMatches.get(matchId);
+    if (!match) return [];
+
+    const player = match.player1.id === studentId ? match.player1
+      : match.player2.id === studentId ? match.player2
+        : null;
+    return player ? statusEffects.serializeEffects(player, Date.now()) : [];
+  }
+
+  // Nickname of a match player by student id
+  getNickname(match, studentId) {
+    if (match.player1.id === studentId) return match.player1.nickname;
+    if (match.player2.id === studentId) return match.player2.nickname;
+    return null;
   }
 
   // Get match
   getMatch(matchId) {
     return activeMatches.get(matchId);
   }
+
+  // Number of matches still being played in a session
+  countLiveMatches(sessionCode) {
+    let count = 0;
+    for (const match of activeMatches.values()) {
+      if (match.sessionCode === sessionCode && match.status !== 'completed') count++;
+    }
+    return count;
+  }
 }
 
 module.exports = new MatchManager();
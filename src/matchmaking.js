@@ -0,0 +1,68 @@
+// Matchmaking scores for pairing queued students.
+//
+// A pair's mismatch score adds up (0 = perfectly even):
+//   - the difference in HP share (hp / maxHp)
+//   - the relative difference in card damage
+//   - the rating difference, per 400 rating points (weighted by MATCHMAKING_RATING_WEIGHT, 0 turns it off)
+// A pair is acceptable when its score is within the tolerance of the student who has waited longest.
+
+const HP_WEIGHT = 1;
+const DAMAGE_WEIGHT = 1;
+const RATING_WEIGHT = process.env.MATCHMAKING_RATING_WEIGHT !== undefined
+  ? Number(process.env.MATCHMAKING_RATING_WEIGHT)
+  : 0.5;
+
+// Acceptable mismatch right after entering the queue, and how fast it widens while waiting
+const BASE_TOLERANCE = 0.25;
+const TOLERANCE_PER_SECOND = 0.05;
+
+// After this long in the queue, a student is paired with anyone
+const MAX_MATCHMAKING_WAIT_MS = Number(process.env.MAX_MATCHMAKING_WAIT_MS) || 30000;
+
+// Running rating (Elo)
+const DEFAULT_RATING = 1000;
+const RATING_K_FACTOR = 32;
+
+function hpShare(entry) {
+  return entry.maxHp > 0 ? entry.hp / entry.maxHp : 0;
+}
+
+// Mismatch score for two queue entries ({ hp, maxHp, damage, rating })
+function scorePair(a, b) {
+  const hp = Math.abs(hpShare(a) - hpShare(b));
+  const damage = Math.abs(a.damage - b.damage) / Math.max(a.damage, b.damage, 1);
+  const rating = Math.abs((a.rating ?? DEFAULT_RATING) - (b.rating ?? DEFAULT_RATING)) / 400;
+
+  return {
+    total: HP_WEIGHT * hp + DAMAGE_WEIGHT * damage + RATING_WEIGHT * rating,
+    hp,
+    damage,
+    rating
+  };
+}
+
+// Acceptable mismatch for a student who has waited `waitMs`
+function getTolerance(waitMs) {
+  if (waitMs >= MAX_MATCHMAKING_WAIT_MS) return Infinity;
+  return BASE_TOLERANCE + (waitMs / 1000) * TOLERANCE_PER_SECOND;
+}
+
+// Update both players' ratings after a match
+function updateRatings(winner, loser) {
+  const winnerRating = winner.rating ?? DEFAULT_RATING;
+  const loserRating = loser.rating ?? DEFAULT_RATING;
+  const expectedWin = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
+  const change = Math.round(RATING_K_FACTOR * (1 - expectedWin));
+
+  winner.rating = winnerRating + change;
+  loser.rating = loserRating - change;
+  return change;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  MAX_MATCHMAKING_WAIT_MS,
+  scorePair,
+  getTolerance,
+  updateRatings
+};
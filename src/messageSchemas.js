@@ -0,0 +1,165 @@
+const { ErrorCodes } = require('./errors');
+
+// Declarative payload schemas for every client -> server message type.
+// Each field: { type, optional, enum, min, max }
+//   type: 'string' | 'number' | 'integer' | 'boolean' | 'id' | 'position'
+//   'id' accepts a non-empty string or a finite number (database IDs)
+//   'position' is an object with finite numeric x and y
+const schemas = {
+  'join-session': {
+    sessionCode: { type: 'string' },
+    studentId: { type: 'id', optional: true }, // Teachers join without a studentId
+    studentName: { type: 'string', optional: true },
+    studentNickname: { type: 'string', optional: true }
+  },
+  'character-selected': {
+    sessionCode: { type: 'string' },
+    studentId: { type: 'id' },
+    characterId: { type: 'string' }
+  },
+  'join-lobby': {
+    sessionCode: { type: 'string' },
+    studentId: { type: 'id' }
+  },
+  'start-game': {
+    sessionCode: { type: 'string' },
+    cardTimeLimitMs: { type: 'integer', optional: true, min: 3000, max: 120000 },
+    arenaId: { type: 'string', optional: true }, // Omit for a random arena per match
+    roundTimeoutRule: { type: 'string', optional: true, enum: ['draw', 'hp_percent', 'sudden_death'] },
+    bestOf: { type: 'integer', optional: true, min: 1, max: 7 },
+    botEliminates: { type: 'boolean', optional: true }, // Losing to a bot eliminates the student
+    tournamentMode: { type: 'string', optional: true, enum: ['free', 'bracket'] },
+    bracketSeeding: { type: 'string', optional: true, enum: ['performance', 'random'] }
+  },
+  'finish-game': {
+    sessionCode: { type: 'string' }
+  },
+  'stats-resync': {
+    sessionCode: { type: 'string' }
+  },
+  'start-bracket': {
+    sessionCode: { type: 'string' }
+  },
+  'card-answered': {
+    sessionCode: { type: 'string' },
+    studentId: { type: 'id' },
+    questionId: { type: 'id' },
+    answer: { type: 'string' }
+  },
+  'enter-queue': {
+    sessionCode: { type: 'string' },
+    studentId: { type: 'id' }
+  },
+  'round-ready': {
+    matchId: { type: 'string' }
+  },
+  'player-move': {
+    matchId: { type: 'string' },
+    position: { type: 'position' }
+  },
+  'state-ack': {
+    matchId: { type: 'string' },
+    tick: { type: 'integer', min: 0 }
+  },
+  'spell-cast': {
+    matchId: { type: 'string' },
+    spellType: { type: 'string' },
+    direction: { type: 'number', optional: true, enum: [1, -1] }
+  },
+  'spell-hit': {
+    matchId: { type: 'string' },
+    spellId: { type: 'string' },
+    hitPlayerId: { type: 'string', enum: ['player1', 'player2'] }
+  },
+  'spectate-match': {
+    matchId: { type: 'string' }
+  },
+  'stop-spectating': {},
+  'list-matches': {},
+  'replay-play': {
+    matchId: { type: 'string' },
+    speed: { type: 'number', optional: true, min: 1, max: 8 } // Playback speed (1 = real time)
+  },
+  'replay-stop': {},
+  'ping': {}
+};
+
+// Helper function to check a single value against a field type
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'id':
+      return (typeof value === 'string' && value.length > 0) ||
+        (typeof value === 'number' && Number.isFinite(value));
+    case 'position':
+      return value !== null && typeof value === 'object' &&
+        Number.isFinite(value.x) && Number.isFinite(value.y);
+    default:
+      return false;
+  }
+}
+
+// Validate a decoded message envelope.
+// Returns null when valid, otherwise { code, field, message }
+function validateMessage(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { code: ErrorCodes.INVALID_MESSAGE, field: null, message: 'Message must be a JSON object' };
+  }
+
+  if (typeof data.type !== 'string' || data.type.length === 0) {
+    return { code: ErrorCodes.INVALID_MESSAGE, field: 'type', message: 'Message type is required' };
+  }
+
+  const schema = schemas[data.type];
+  if (!schema) {
+    return { code: ErrorCodes.UNKNOWN_MESSAGE_TYPE, field: 'type', message: `Unknown message type: ${data.type}` };
+  }
+
+  const payload = data.payload;
+  const fieldNames = Object.keys(schema);
+  if (fieldNames.length === 0) return null;
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { code: ErrorCodes.INVALID_FIELD, field: 'payload', message: 'Payload must be an object' };
+  }
+
+  for (const field of fieldNames) {
+    const rule = schema[field];
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (rule.optional) continue;
+      return { code: ErrorCodes.MISSING_FIELD, field, message: `Missing required field '${field}'` };
+    }
+
+    if (!matchesType(value, rule.type)) {
+      return { code: ErrorCodes.INVALID_FIELD, field, message: `Field '${field}' must be of type ${rule.type}` };
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { code: ErrorCodes.INVALID_FIELD, field, message: `Field '${field}' must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      return { code: ErrorCodes.INVALID_FIELD, field, message: `Field '${field}' must be at least ${rule.min}` };
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      return { code: ErrorCodes.INVALID_FIELD, field, message: `Field '${field}' must be at most ${rule.max}` };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  schemas,
+  validateMessage
+};
@@ -0,0 +1,120 @@
+// Projectile geometry used by the server-side spell simulation.
+// All positions are arena pixels; velocities are pixels per second.
+
+// Client spell speeds are expressed in pixels per frame at 60 FPS
+const FRAMES_PER_SECOND = 60;
+
+// Collision radii (pixels)
+const PLAYER_HITBOX_RADIUS = 32;
+const SPELL_HITBOX_RADIUS = 8;
+
+// Spells that never hit anything are dropped after this long
+const SPELL_MAX_LIFETIME_MS = 4000;
+
+// Calculate spell velocity from its start towards its target
+// Falls back to a straight horizontal shot when start and target coincide
+function calculateVelocity(startPosition, targetPosition, speed, direction) {
+  const pixelsPerSecond = speed * FRAMES_PER_SECOND;
+  const dx = targetPosition.x - startPosition.x;
+  const dy = targetPosition.y - startPosition.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+
+  if (length < 1) {
+    return { x: (direction === -1 ? -1 : 1) * pixelsPerSecond, y: 0 };
+  }
+
+  return {
+    x: (dx / length) * pixelsPerSecond,
+    y: (dy / length) * pixelsPerSecond
+  };
+}
+
+// Position of a spell at a given time
+function getSpellPosition(spell, now) {
+  const elapsedSeconds = Math.max(0, now - spell.createdAt) / 1000;
+  return {
+    x: spell.startPosition.x + spell.velocity.x * elapsedSeconds,
+    y: spell.startPosition.y + spell.velocity.y * elapsedSeconds
+  };
+}
+
+// Position along the segment a -> b (0 = a, 1 = b) closest to a point
+function closestSegmentParameter(point, a, b) {
+  const abx = b.x - a.x;
+  const aby = b.y - a.y;
+  const lengthSquared = abx * abx + aby * aby;
+  if (lengthSquared === 0) return 0;
+
+  const t = ((point.x - a.x) * abx + (point.y - a.y) * aby) / lengthSquared;
+  return Math.max(0, Math.min(1, t));
+}
+
+// Shortest distance from a point to the segment a -> b
+function distanceToSegment(point, a, b) {
+  const t = closestSegmentParameter(point, a, b);
+  const closestX = a.x + (b.x - a.x) * t;
+  const closestY = a.y + (b.y - a.y) * t;
+  return Math.sqrt((point.x - closestX) ** 2 + (point.y - closestY) ** 2);
+}
+
+// Check whether a spell travelling from `from` to `to` touched a player's hitbox
+// (swept test, so fast spells can't tunnel through a player between steps)
+function sweptHit(from, to, playerPosition, playerRadius = PLAYER_HITBOX_RADIUS) {
+  return distanceToSegment(playerPosition, from, to) <= playerRadius + SPELL_HITBOX_RADIUS;
+}
+
+// Check whether a spell travelling from `from` to `to` touched a rectangle { x, y, width, height }.
+// Returns where along the segment it first touched (0..1), or null if it didn't
+function sweptRectHit(from, to, rect) {
+  const minX = rect.x - SPELL_HITBOX_RADIUS;
+  const maxX = rect.x + rect.width + SPELL_HITBOX_RADIUS;
+  const minY = rect.y - SPELL_HITBOX_RADIUS;
+  const maxY = rect.y + rect.height + SPELL_HITBOX_RADIUS;
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+
+  // Clip the segment against each slab (Liang-Barsky)
+  let enter = 0;
+  let exit = 1;
+  const edges = [
+    [-dx, from.x - minX],
+    [dx, maxX - from.x],
+    [-dy, from.y - minY],
+    [dy, maxY - from.y]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      enter = Math.max(enter, t);
+    } else {
+      exit = Math.min(exit, t);
+    }
+    if (enter > exit) return null;
+  }
+  return enter;
+}
+
+// Check whether a spell has left the arena or lived too long
+function isSpellExpired(spell, position, now, bounds) {
+  if (now - spell.createdAt > SPELL_MAX_LIFETIME_MS) return true;
+
+  const margin = SPELL_HITBOX_RADIUS;
+  return position.x < -margin || position.x > bounds.width + margin ||
+    position.y < -margin || position.y > bounds.height + margin;
+}
+
+module.exports = {
+  PLAYER_HITBOX_RADIUS,
+  SPELL_HITBOX_RADIUS,
+  calculateVelocity,
+  getSpellPosition,
+  closestSegmentParameter,
+  distanceToSegment,
+  sweptHit,
+  sweptRectHit,
+  isSpellExpired
+};
@@ -0,0 +1,39 @@
+// Serialization of question rows before they leave the server.
+// Students only ever get an explicit whitelist of fields, so answer keys
+// (and any column added to mini_game_questions later) stay server-side.
+
+const STUDENT_QUESTION_FIELDS = [
+  'id',
+  'question_id',
+  'question_text',
+  'question_image_url',
+  'option_a',
+  'option_b',
+  'option_c',
+  'option_d'
+];
+
+// Serialize one question for a role ('teacher' sees everything)
+function serializeQuestion(question, role = 'student') {
+  if (role === 'teacher') {
+    return { ...question };
+  }
+
+  const serialized = {};
+  for (const field of STUDENT_QUESTION_FIELDS) {
+    if (question[field] !== undefined) {
+      serialized[field] = question[field];
+    }
+  }
+  return serialized;
+}
+
+// Serialize a list of questions for a role
+function serializeQuestions(questions, role = 'student') {
+  return questions.map(question => serializeQuestion(question, role));
+}
+
+module.exports = {
+  serializeQuestion,
+  serializeQuestions
+};
@@ -1,10 +1,39 @@
 const matchManager = require('./matchManager');
 const gameManager = require('./gameManager');
 const WebSocket = require('ws');
+const { ErrorCodes, sendError } = require('./errors');
+const arenas = require('./arenas');
+const matchmaking = require('./matchmaking');
+const botManager = require('./botManager');
+const bracketManager = require('./bracketManager');
 
 // Store queue in memory (per session)
 const queues = new Map();
 
+// Sessions with a bracket pairing pass in progress (findPairs waits on database writes)
+const bracketChecks = new Set();
+
+// Periodic matchmaking re-evaluation per session (sessionCode -> interval)
+const rechecks = new Map();
+
+// Recent match durations per session, newest last (sessionCode -> [ms])
+const matchDurations = new Map();
+
+// How often waiting students are re-evaluated (their tolerance widens over time)
+const MATCHMAKING_RECHECK_MS = 1000;
+
+// How many recent opponents are remembered per student, and how long a student waits
+// for someone new before a rematch with one of them is allowed
+const RECENT_OPPONENT_HISTORY = 2;
+const REMATCH_WAIT_MS = Number(process.env.REMATCH_WAIT_MS) || 15000;
+
+// A student left alone in the queue this long gets a server-controlled bot opponent
+const BOT_MATCH_WAIT_MS = Number(process.env.BOT_MATCH_WAIT_MS) || 20000;
+
+// Wait estimates average this many recent matches (before any match ends, a typical length is assumed)
+const MATCH_DURATION_HISTORY = 10;
+const DEFAULT_MATCH_DURATION_MS = 45000;
+
 class QueueManager {
   // Student enters matchmaking queue
   async enterQueue(ws, payload) {
@@ -18,38 +47,45 @@ class QueueManager {
     
     // Check if already in queue
     if (queue.find(p => p.studentId === studentId)) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Already in queue'
-      }));
+      sendError(ws, ErrorCodes.ALREADY_IN_QUEUE, 'Already in queue');
       return;
     }
 
     // Get player data from session
     const session = gameManager.getSession(sessionCode);
     if (!session) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Session not found'
-      }));
+      sendError(ws, ErrorCodes.SESSION_NOT_FOUND, 'Session not found');
       return;
     }
 
     const player = session.players.get(studentId);
     if (!player) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Player not found in session'
-      }));
+      sendError(ws, ErrorCodes.PLAYER_NOT_FOUND, 'Player not found in session');
       return;
     }
 
     // Check if player is eliminated
     if (player.eliminated || player.hp <= 0) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'You have been eliminated from the tournament'
-      }));
+      sendError(ws, ErrorCodes.PLAYER_ELIMINATED, 'You have been eliminated from the tournament');
+      return;
+    }
+
+    // Once a bracket is seeded, only its players can queue
+    if (bracketManager.getBracket(sessionCode) && !bracketManager.isSeeded(sessionCode, studentId)) {
+      sendError(ws, ErrorCodes.NOT_IN_BRACKET, 'You are not in this session\'s bracket');
+      return;
+    }
+
+    // Cards are answered against the clock - no queueing in the middle of them
+    if (player.cardPhase && !player.cardPhase.completed) {
+      sendError(ws, ErrorCodes.CARD_PHASE_INCOMPLETE, 'Answer all of your cards before entering the queue');
+      return;
+    }
+
+    // A live match keeps its seat (reconnects rebind to it) - finish it first
+    const currentMatch = player.matchId && matchManager.getMatch(player.matchId);
+    if (currentMatch && currentMatch.status !== 'completed') {
+      sendError(ws, ErrorCodes.ALREADY_IN_MATCH, 'You are already in a match');
       return;
     }
 
@@ -58,14 +94,17 @@ class QueueManager {
 
     // Mark player as in queue
     player.inQueue = true;
+    gameManager.sendPlayerStatsToTeacher(sessionCode);
 
     // Add to queue
     queue.push({
       studentId,
       ws,
       sessionCode,
-      damage: player.damage,
+      damage: player.damage || 5,
       hp: player.hp,
+      maxHp: player.maxHp || player.hp,
+      rating: player.rating ?? matchmaking.DEFAULT_RATING,
       selectedCharacter: player.selectedCharacter,
       studentNickname: player.studentNickname,
       enteredAt: Date.now()
@@ -76,24 +115,213 @@ class QueueManager {
       position: queue.length
     }));
 
-    // Try to match if 2+ players
-    if (queue.length >= 2) {
-      await this.tryMatch(sessionCode);
-    }
+    // Try to match (a lone student is rechecked until someone - or a bot - shows up)
+    await this.tryMatch(sessionCode);
+    this.sendQueueStatus(sessionCode);
   }
 
-  // Try to match players
-  async tryMatch(sessionCode) {
+  // Pair queued students whose mismatch is acceptable, best pairs first.
+  // `trigger` is 'enter' when someone joined the queue, 'recheck' for periodic re-evaluation
+  async tryMatch(sessionCode, trigger = 'enter') {
     const queue = queues.get(sessionCode);
-    if (!queue || queue.length < 2) return;
+    if (!queue || queue.length === 0) {
+      this.stopRechecks(sessionCode);
+      return;
+    }
+
+    const session = gameManager.getSession(sessionCode);
+    if (bracketManager.isBracketSession(session)) {
+      await this.tryBracketMatch(sessionCode, queue);
+      return;
+    }
+
+    const queuedBefore = queue.length;
+    let pair = this.findBestPair(queue, { session });
+    while (pair) {
+      console.log('[QueueManager] Pairing decision:', {
+        sessionCode,
+        player1: pair.a.studentId,
+        player2: pair.b.studentId,
+        score: Number(pair.score.total.toFixed(3)),
+        hp: Number(pair.score.hp.toFixed(3)),
+        damage: Number(pair.score.damage.toFixed(3)),
+        rating: Number(pair.score.rating.toFixed(3)),
+        tolerance: Number.isFinite(pair.tolerance) ? Number(pair.tolerance.toFixed(3)) : 'any',
+        waitedMs: pair.waitedMs,
+        rematch: pair.rematch
+      });
+
+      queue.splice(queue.indexOf(pair.a), 1);
+      queue.splice(queue.indexOf(pair.b), 1);
+      await this.startMatch(sessionCode, pair.a, pair.b);
+
+      pair = this.findBestPair(queue, { session });
+    }
+
+    // Nobody to fight for too long - play a bot instead
+    if (queue.length === 1 && Date.now() - queue[0].enteredAt >= BOT_MATCH_WAIT_MS) {
+      const player = queue.shift();
+      await this.startBotMatch(sessionCode, player);
+    }
+
+    // Students still waiting moved up
+    if (queue.length !== queuedBefore) {
+      this.sendQueueStatus(sessionCode);
+    }
+
+    if (queue.length === 0) {
+      this.stopRechecks(sessionCode);
+      return;
+    }
+
+    // Nobody fits yet - tolerances widen with waiting, so look again shortly
+    if (trigger === 'enter' && queue.length >= 2) {
+      const best = this.findBestPair(queue, { session, ignoreTolerance: true });
+      console.log('[QueueManager] No acceptable pair yet:', {
+        sessionCode,
+        queued: queue.length,
+        bestScore: best ? Number(best.score.total.toFixed(3)) : null,
+        bestTolerance: best ? Number(best.tolerance.toFixed(3)) : null
+      });
+    }
+    this.startRechecks(sessionCode);
+  }
+
+  // Bracket sessions play the bracket's pairings instead of matchmaking (and never get bots).
+  // Waiting students are still rechecked so opponents who left the session lose by walkover.
+  async tryBracketMatch(sessionCode, queue) {
+    // A recheck or enter-queue during the awaits below would get the same pairs again
+    if (bracketChecks.has(sessionCode)) return;
+    bracketChecks.add(sessionCode);
+    try {
+      await this.pairBracketMatches(sessionCode, queue);
+    } finally {
+      bracketChecks.delete(sessionCode);
+    }
+  }
+
+  async pairBracketMatches(sessionCode, queue) {
+    const queuedBefore = queue.length;
+    for (const { a, b, bracketMatch } of await bracketManager.findPairs(sessionCode, queue)) {
+      // Someone may have left the queue while the bracket was being settled
+      if (queue.indexOf(a) === -1 || queue.indexOf(b) === -1 || bracketMatch.status !== 'pending') continue;
+
+      console.log('[QueueManager] Bracket pairing:', {
+        sessionCode,
+        bracketMatch: bracketMatch.id,
+        player1: a.studentId,
+        player2: b.studentId
+      });
 
-    // Get first two players (FIFO)
-    const player1 = queue.shift();
-    const player2 = queue.shift();
+      queue.splice(queue.indexOf(a), 1);
+      queue.splice(queue.indexOf(b), 1);
+      const matchId = await this.startMatch(sessionCode, a, b);
+      bracketManager.startBracketMatch(sessionCode, bracketMatch, matchId);
+    }
+
+    if (queue.length !== queuedBefore) {
+      this.sendQueueStatus(sessionCode);
+    }
+
+    if (queue.length === 0) {
+      this.stopRechecks(sessionCode);
+    } else {
+      this.startRechecks(sessionCode);
+    }
+  }
 
+  // Lowest-mismatch pair in the queue that is within the longest waiter's tolerance.
+  // Recent opponents are only paired again once one of them has waited REMATCH_WAIT_MS,
+  // and even then only if no acceptable pair with a new opponent exists.
+  findBestPair(queue, { session = null, ignoreTolerance = false } = {}) {
+    const now = Date.now();
+    let best = null;
+    let bestRematch = null;
+
+    for (let i = 0; i < queue.length; i++) {
+      for (let j = i + 1; j < queue.length; j++) {
+        const a = queue[i];
+        const b = queue[j];
+        const waitedMs = now - Math.min(a.enteredAt, b.enteredAt);
+        const tolerance = matchmaking.getTolerance(waitedMs);
+        const score = matchmaking.scorePair(a, b);
+        const rematch = this.isRecentOpponent(session, a.studentId, b.studentId);
+
+        if (rematch && waitedMs < REMATCH_WAIT_MS) continue;
+        if (!ignoreTolerance && score.total > tolerance) continue;
+        // Prefer the closest pair; between equal ones, whoever has waited longest
+        const current = rematch ? bestRematch : best;
+        if (!current || score.total < current.score.total ||
+          (score.total === current.score.total && waitedMs > current.waitedMs)) {
+          const pair = { a, b, score, tolerance, waitedMs, rematch };
+          if (rematch) {
+            bestRematch = pair;
+          } else {
+            best = pair;
+          }
+        }
+      }
+    }
+    return best || bestRematch;
+  }
+
+  // Re-evaluate a session's queue every second while students are waiting
+  startRechecks(sessionCode) {
+    if (rechecks.has(sessionCode)) return;
+
+    rechecks.set(sessionCode, setInterval(() => {
+      this.tryMatch(sessionCode, 'recheck').catch(error => {
+        console.error('[QueueManager] Matchmaking recheck error:', error);
+      });
+    }, MATCHMAKING_RECHECK_MS));
+  }
+
+  stopRechecks(sessionCode) {
+    if (!rechecks.has(sessionCode)) return;
+
+    clearInterval(rechecks.get(sessionCode));
+    rechecks.delete(sessionCode);
+  }
+
+  // Whether two students fought each other recently
+  isRecentOpponent(session, studentA, studentB) {
+    const history = session?.recentOpponents?.get(String(studentA));
+    return !!history && history.includes(String(studentB));
+  }
+
+  // Remember each student's latest opponents (newest first)
+  recordOpponents(session, studentA, studentB) {
+    if (!session.recentOpponents) {
+      session.recentOpponents = new Map();
+    }
+
+    for (const [student, opponent] of [[String(studentA), String(studentB)], [String(studentB), String(studentA)]]) {
+      const history = (session.recentOpponents.get(student) || []).filter(id => id !== opponent);
+      history.unshift(opponent);
+      session.recentOpponents.set(student, history.slice(0, RECENT_OPPONENT_HISTORY));
+    }
+  }
+
+  // Match a student taken off the queue against a bot scaled to their stats
+  async startBotMatch(sessionCode, player) {
+    const bot = botManager.createBot(sessionCode, player);
+    console.log('[QueueManager] Bot match:', {
+      sessionCode,
+      player: player.studentId,
+      bot: bot.studentId,
+      waitedMs: Date.now() - player.enteredAt
+    });
+    await this.startMatch(sessionCode, player, bot);
+  }
+
+  // Create the match for a pair taken off the queue
+  async startMatch(sessionCode, player1, player2) {
     // Mark players as not in queue
     const session = gameManager.getSession(sessionCode);
     if (session) {
+      if (!player1.isBot && !player2.isBot) {
+        this.recordOpponents(session, player1.studentId, player2.studentId);
+      }
       const p1 = session.players.get(player1.studentId);
       const p2 = session.players.get(player2.studentId);
       if (p1) p1.inQueue = false;
@@ -106,6 +334,7 @@ class QueueManager {
       player1,
       player2
     );
+    const arena = arenas.describeArena(matchManager.getMatch(matchId).arena);
 
     // Notify both players
     if (player1.ws.readyState === WebSocket.OPEN) {
@@ -116,6 +345,8 @@ class QueueManager {
         opponentNickname: player2.studentNickname,
         opponentCharacter: player2.selectedCharacter,
         opponentDamage: player2.damage,
+        opponentIsBot: !!player2.isBot,
+        arena,
         isPlayer1: true
       }));
     }
@@ -128,29 +359,35 @@ class QueueManager {
         opponentNickname: player1.studentNickname,
         opponentCharacter: player1.selectedCharacter,
         opponentDamage: player1.damage,
+        opponentIsBot: !!player1.isBot,
+        arena,
         isPlayer2: true
       }));
     }
 
-    // Try to match more players if queue has 2+ remaining
-    if (queue.length >= 2) {
-      setTimeout(() => this.tryMatch(sessionCode), 100);
-    }
+    return matchId;
   }
 
   // Remove from queue
-  async removeFromQueue(studentId) {
+  // When `ws` is given, only remove the entry queued from that socket
+  async removeFromQueue(studentId, ws) {
     for (const [sessionCode, queue] of queues.entries()) {
       const index = queue.findIndex(p => p.studentId === studentId);
       if (index !== -1) {
+        if (ws && queue[index].ws !== ws) break;
+
         const player = queue[index];
         queue.splice(index, 1);
+        if (queue.length === 0) {
+          this.stopRechecks(sessionCode);
+        }
         
         // Mark player as not in queue
         const session = gameManager.getSession(sessionCode);
         if (session) {
           const p = session.players.get(studentId);
           if (p) p.inQueue = false;
+          gameManager.sendPlayerStatsToTeacher(sessionCode);
         }
         
         // Notify player
@@ -159,6 +396,7 @@ class QueueManager {
             type: 'queue-left'
           }));
         }
+        this.sendQueueStatus(sessionCode);
         break;
       }
     }
@@ -172,6 +410,99 @@ class QueueManager {
     const index = queue.findIndex(p => p.studentId === studentId);
     return index === -1 ? null : index + 1;
   }
+
+  // Push `queue-status` to students whose position changed, and the overview to the teacher
+  sendQueueStatus(sessionCode) {
+    const queue = queues.get(sessionCode) || [];
+    const now = Date.now();
+
+    for (const entry of queue) {
+      const position = this.getQueuePosition(sessionCode, entry.studentId);
+      if (position === entry.lastSentPosition) continue;
+      entry.lastSentPosition = position;
+
+      if (entry.ws.readyState === WebSocket.OPEN) {
+        entry.ws.send(JSON.stringify({
+          type: 'queue-status',
+          position,
+          queued: queue.length,
+          waitedMs: now - entry.enteredAt,
+          estimatedWaitMs: this.estimateWait(sessionCode, entry, now)
+        }));
+      }
+    }
+
+    this.sendQueueOverview(sessionCode);
+  }
+
+  // Live view of the session's queue for the teacher
+  sendQueueOverview(sessionCode) {
+    const queue = queues.get(sessionCode) || [];
+    const now = Date.now();
+
+    gameManager.broadcastToTeacher(sessionCode, {
+      type: 'queue-overview',
+      queue: queue.map(entry => ({
+        studentId: entry.studentId,
+        nickname: entry.studentNickname,
+        position: this.getQueuePosition(sessionCode, entry.studentId),
+        hp: entry.hp,
+        maxHp: entry.maxHp,
+        rating: entry.rating,
+        enteredAt: entry.enteredAt,
+        waitedMs: now - entry.enteredAt,
+        estimatedWaitMs: this.estimateWait(sessionCode, entry, now)
+      })),
+      liveMatches: matchManager.countLiveMatches(sessionCode),
+      averageMatchDurationMs: Math.round(this.getAverageMatchDuration(sessionCode))
+    });
+  }
+
+  // Estimated time until a queued student gets a match. The soonest of:
+  //   - another student is queued: matchmaking accepts any pair after MAX_MATCHMAKING_WAIT_MS
+  //   - alone in the queue: the bot match after BOT_MATCH_WAIT_MS
+  //   - students coming back from live matches: with N matches of average length D, the next one
+  //     ends in about D / (N + 1), and every two places further back waits for one more
+  // Bracket sessions only use the live-match estimate (0 when no match is being played).
+  estimateWait(sessionCode, entry, now = Date.now()) {
+    const queue = queues.get(sessionCode) || [];
+    const waitedMs = now - entry.enteredAt;
+    const estimates = [];
+
+    // Bracket opponents are fixed - the wait is only for live matches to finish
+    if (bracketManager.isBracketSession(gameManager.getSession(sessionCode))) {
+      estimates.push(matchManager.countLiveMatches(sessionCode) > 0 ? Infinity : 0);
+    } else if (queue.length >= 2) {
+      estimates.push(matchmaking.MAX_MATCHMAKING_WAIT_MS - waitedMs);
+    } else {
+      estimates.push(BOT_MATCH_WAIT_MS - waitedMs);
+    }
+
+    const liveMatches = matchManager.countLiveMatches(sessionCode);
+    if (liveMatches > 0) {
+      const position = this.getQueuePosition(sessionCode, entry.studentId) || 1;
+      const matchesNeeded = Math.ceil(position / 2);
+      estimates.push(this.getAverageMatchDuration(sessionCode) / (liveMatches + 1) * matchesNeeded);
+    }
+
+    return Math.max(0, Math.round(Math.min(...estimates) / 1000) * 1000);
+  }
+
+  // Remember how long a finished match took (used for wait estimates)
+  recordMatchDuration(sessionCode, durationMs) {
+    const durations = matchDurations.get(sessionCode) || [];
+    durations.push(durationMs);
+    matchDurations.set(sessionCode, durations.slice(-MATCH_DURATION_HISTORY));
+
+    // Fewer live matches changes every estimate - refresh the teacher's view
+    this.sendQueueOverview(sessionCode);
+  }
+
+  getAverageMatchDuration(sessionCode) {
+    const durations = matchDurations.get(sessionCode);
+    if (!durations || durations.length === 0) return DEFAULT_MATCH_DURATION_MS;
+    return durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+  }
 }
 
 module.exports = new QueueManager();
@@ -0,0 +1,213 @@
+const { neon } = require('@neondatabase/serverless');
+const WebSocket = require('ws');
+const { ErrorCodes, sendError } = require('./errors');
+
+const sql = neon(process.env.NEON_DATABASE_URL);
+
+// Replays being recorded (matchId -> replay)
+const recordings = new Map();
+
+// Replays being streamed to clients (ws -> playback)
+const playbacks = new Map();
+
+// Upper bound on recorded events per match (keeps memory bounded for long matches)
+const REPLAY_MAX_EVENTS = 20000;
+
+// Record a full state snapshot every N ticks so playback can resync positions
+const REPLAY_KEYFRAME_TICKS = 10;
+
+// Replay format:
+//   { matchId, sessionCode, teacherId, arenaId, bestOf, startedAt, endedAt, winnerId,
+//     players: { player1: { id, nickname, character, isBot }, player2: { ... } },
+//     events: [[t, type, data], ...] }
+// t is milliseconds since the match was created
+class ReplayManager {
+  // Start recording a new match
+  startRecording(match) {
+    // Remember whose session it was, so only that teacher can watch it later
+    const gameManager = require('./gameManager');
+    const session = gameManager.getSession(match.sessionCode);
+
+    const describePlayer = (player) => ({
+      id: player.id,
+      nickname: player.nickname,
+      character: player.character,
+      isBot: player.isBot
+    });
+
+    recordings.set(match.id, {
+      matchId: match.id,
+      sessionCode: match.sessionCode,
+      teacherId: session ? session.teacherId : null,
+      arenaId: match.arena.id,
+      bestOf: match.bestOf,
+      startedAt: Date.now(),
+      endedAt: null,
+      winnerId: null,
+      players: {
+        player1: describePlayer(match.player1),
+        player2: describePlayer(match.player2)
+      },
+      events: []
+    });
+  }
+
+  // Append an event to a match's replay
+  record(matchId, type, data = {}) {
+    const replay = recordings.get(matchId);
+    if (!replay) return;
+
+    if (replay.events.length >= REPLAY_MAX_EVENTS) {
+      if (!replay.truncated) {
+        replay.truncated = true;
+        console.warn(`[ReplayManager] Replay for ${matchId} hit ${REPLAY_MAX_EVENTS} events, dropping the rest`);
+      }
+      return;
+    }
+
+    replay.events.push([Date.now() - replay.startedAt, type, data]);
+  }
+
+  // Whether this tick's state should be stored as a keyframe
+  isKeyframeTick(tick) {
+    return tick % REPLAY_KEYFRAME_TICKS === 0;
+  }
+
+  // Stop recording and store the replay
+  async finishRecording(matchId, winnerId = null) {
+    const replay = recordings.get(matchId);
+    if (!replay) return;
+    recordings.delete(matchId);
+
+    replay.endedAt = Date.now();
+    replay.winnerId = winnerId;
+
+    try {
+      await sql`
+        INSERT INTO mini_game_replays (
+          match_id, session_code, winner_student_id, event_count,
+          started_at, ended_at, data
+        ) VALUES (
+          ${replay.matchId}, ${replay.sessionCode}, ${winnerId}, ${replay.events.length},
+          ${new Date(replay.startedAt).toISOString()}, ${new Date(replay.endedAt).toISOString()},
+          ${JSON.stringify(replay)}
+        )
+      `;
+      console.log(`[ReplayManager] Stored replay for ${matchId} (${replay.events.length} events)`);
+    } catch (error) {
+      console.error('[ReplayManager] Failed to store replay:', error.message);
+    }
+  }
+
+  // Load a replay (matches still in progress come from memory)
+  async getReplay(matchId) {
+    const recording = recordings.get(matchId);
+    if (recording) return recording;
+
+    const result = await sql`
+      SELECT data FROM mini_game_replays WHERE match_id = ${matchId}
+    `;
+    if (!result[0]) return null;
+
+    const data = result[0].data;
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+
+  // Who may view a replay: the session's teacher and the two players
+  canView(replay, { userId, role, sessionCode }) {
+    if (replay.sessionCode !== sessionCode) return false;
+    if (role === 'teacher') {
+      return replay.teacherId != null && String(replay.teacherId) === String(userId);
+    }
+    return String(replay.players.player1.id) === String(userId) ||
+      String(replay.players.player2.id) === String(userId);
+  }
+
+  // Stream a replay to a client at the requested speed
+  async handleReplayPlay(ws, payload) {
+    const { matchId } = payload;
+    const speed = payload.speed || 1;
+
+    const replay = await this.getReplay(matchId);
+    if (!replay) {
+      sendError(ws, ErrorCodes.REPLAY_NOT_FOUND, 'Replay not found', {
+        field: 'matchId',
+        messageType: 'replay-play'
+      });
+      return;
+    }
+
+    if (!this.canView(replay, { userId: ws.userId, role: ws.userRole, sessionCode: ws.sessionCode })) {
+      sendError(ws, ErrorCodes.REPLAY_NOT_ALLOWED, 'You cannot view this replay', {
+        messageType: 'replay-play'
+      });
+      return;
+    }
+
+    // One playback per connection
+    this.stopPlayback(ws);
+
+    ws.send(JSON.stringify({
+      type: 'replay-start',
+      matchId,
+      speed,
+      arenaId: replay.arenaId,
+      bestOf: replay.bestOf,
+      players: replay.players,
+      durationMs: (replay.endedAt || Date.now()) - replay.startedAt,
+      eventCount: replay.events.length
+    }));
+
+    const playback = { matchId, speed, index: 0, startedAt: Date.now(), timer: null };
+    playbacks.set(ws, playback);
+    this.scheduleNextEvent(ws, replay, playback);
+  }
+
+  // Send every event that is due, then wait for the next one
+  scheduleNextEvent(ws, replay, playback) {
+    if (playbacks.get(ws) !== playback) return;
+
+    if (ws.readyState !== WebSocket.OPEN) {
+      this.stopPlayback(ws);
+      return;
+    }
+
+    const elapsed = (Date.now() - playback.startedAt) * playback.speed;
+    while (playback.index < replay.events.length && replay.events[playback.index][0] <= elapsed) {
+      const [t, event, data] = replay.events[playback.index];
+      ws.send(JSON.stringify({ type: 'replay-event', matchId: playback.matchId, t, event, data }));
+      playback.index++;
+    }
+
+    if (playback.index >= replay.events.length) {
+      playbacks.delete(ws);
+      ws.send(JSON.stringify({ type: 'replay-end', matchId: playback.matchId, winnerId: replay.winnerId }));
+      return;
+    }
+
+    const waitMs = (replay.events[playback.index][0] - elapsed) / playback.speed;
+    playback.timer = setTimeout(() => this.scheduleNextEvent(ws, replay, playback), Math.max(0, waitMs));
+  }
+
+  // Client asked to stop the current playback
+  async handleReplayStop(ws) {
+    const playback = playbacks.get(ws);
+    if (!this.stopPlayback(ws)) return;
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'replay-stopped', matchId: playback.matchId }));
+    }
+  }
+
+  // Cancel a connection's playback (also on disconnect). Returns true if one was running
+  stopPlayback(ws) {
+    const playback = playbacks.get(ws);
+    if (!playback) return false;
+
+    clearTimeout(playback.timer);
+    playbacks.delete(ws);
+    return true;
+  }
+}
+
+module.exports = new ReplayManager();
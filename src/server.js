@@ -7,17 +7,41 @@ require('dotenv').config();
 const gameManager = require('./gameManager');
 const queueManager = require('./queueManager');
 const matchManager = require('./matchManager');
+const replayManager = require('./replayManager');
+const bracketManager = require('./bracketManager');
+const { verifyToken, getTokenFromRequest } = require('./auth');
+const { validateMessage } = require('./messageSchemas');
+const { ErrorCodes, sendError } = require('./errors');
 
 const app = express();
 const server = createServer(app);
 const port = process.env.PORT || 10000;
 
 // WebSocket server at /ws
-const wss = new WebSocket.Server({ server, path: '/ws' });
+// Every upgrade must carry a signed token; identity and role come from its claims
+const wss = new WebSocket.Server({
+  server,
+  path: '/ws',
+  verifyClient: (info, done) => {
+    try {
+      info.req.auth = verifyToken(getTokenFromRequest(info.req));
+      done(true);
+    } catch (error) {
+      console.warn('[Server] Rejected connection:', error.message);
+      done(false, 401, 'Unauthorized');
+    }
+  }
+});
 
 // Database connection
 const sql = neon(process.env.NEON_DATABASE_URL);
 
+// Messages that arrive many times per second and would flood the log
+const UNLOGGED_MESSAGES = new Set(['ping', 'pong', 'player-move', 'state-ack', 'spell-hit']);
+
+// Messages that act as a student - teacher sockets must not send them for someone else
+const STUDENT_ONLY_MESSAGES = new Set(['card-answered', 'enter-queue', 'character-selected', 'join-lobby']);
+
 // HTTP routes for health checks
 app.get('/', (req, res) => {
   res.json({ status: 'ok', service: 'mini-games-websocket' });
@@ -27,6 +51,33 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// Match replay (same token as the WebSocket; the session's teacher and the two players only)
+app.get('/replays/:matchId', async (req, res) => {
+  let auth;
+  try {
+    auth = verifyToken(getTokenFromRequest(req));
+  } catch (error) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  try {
+    const replay = await replayManager.getReplay(req.params.matchId);
+    if (!replay) {
+      res.status(404).json({ error: 'Replay not found' });
+      return;
+    }
+    if (!replayManager.canView(replay, auth)) {
+      res.status(403).json({ error: 'Forbidden' });
+      return;
+    }
+    res.json(replay);
+  } catch (error) {
+    console.error('[Server] Failed to load replay:', error);
+    res.status(500).json({ error: 'Failed to load replay' });
+  }
+});
+
 // Heartbeat function for connection health
 function heartbeat() {
   this.isAlive = true;
@@ -38,16 +89,8 @@ wss.on('connection', function connection(ws, req) {
   ws.on('error', console.error);
   ws.on('pong', heartbeat);
 
-  // Parse query parameters for session code
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const sessionCode = url.searchParams.get('session');
-  const userId = url.searchParams.get('userId');
-  const userRole = url.searchParams.get('role'); // 'teacher' or 'student'
-
-  if (!sessionCode || !userId) {
-    ws.close(1008, 'Missing session code or user ID');
-    return;
-  }
+  // Identity was verified in verifyClient - never trust query parameters for it
+  const { sessionCode, userId, role: userRole } = req.auth;
 
   // Store connection metadata
   ws.sessionCode = sessionCode;
@@ -60,15 +103,21 @@ wss.on('connection', function connection(ws, req) {
 
   // Handle incoming messages
   ws.on('message', async (message) => {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      sendError(ws, ErrorCodes.INVALID_JSON, 'Invalid message format');
+      return;
+    }
+
     try {
-      const data = JSON.parse(message.toString());
       await handleMessage(ws, data);
     } catch (error) {
       console.error('Error handling message:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid message format'
-      }));
+      sendError(ws, ErrorCodes.INTERNAL_ERROR, 'Failed to process message', {
+        messageType: data?.type
+      });
     }
   });
 
@@ -82,16 +131,47 @@ wss.on('connection', function connection(ws, req) {
   ws.send(JSON.stringify({
     type: 'connected',
     sessionCode: sessionCode,
-    userId: userId
+    userId: userId,
+    role: userRole
   }));
+
+  // Students dropping mid-match get their seat back (and a full state resync)
+  if (userRole === 'student') {
+    matchManager.rebindPlayer(ws);
+  }
 });
 
   // Message handler
   async function handleMessage(ws, data) {
-    const { type, payload } = data;
-    // Log all messages for debugging (except ping/pong)
-    if (type !== 'ping' && type !== 'pong') {
-      console.log('[Server] Received message:', { type, userId: ws.userId, sessionCode: ws.sessionCode, payload: type === 'spell-hit' ? { matchId: payload?.matchId, spellId: payload?.spellId, hitPlayerId: payload?.hitPlayerId } : '...' });
+    const { type, payload } = data || {};
+    // Log all messages for debugging (except ping/pong and per-tick match traffic)
+    if (!UNLOGGED_MESSAGES.has(type)) {
+      console.log('[Server] Received message:', { type, userId: ws.userId, sessionCode: ws.sessionCode, payload: '...' });
+    }
+
+    // Bind payload identity to the verified token so clients can't act for someone else
+    if (payload && typeof payload === 'object') {
+      payload.sessionCode = ws.sessionCode;
+      if (ws.userRole === 'student') {
+        payload.studentId = ws.userId;
+      }
+    }
+
+    if (STUDENT_ONLY_MESSAGES.has(type) && ws.userRole !== 'student') {
+      sendError(ws, ErrorCodes.STUDENT_ONLY, `Only students can send ${type}`, {
+        messageType: type
+      });
+      return;
+    }
+
+    // Reject anything that doesn't match the message schema before it reaches a manager
+    const validationError = validateMessage(data);
+    if (validationError) {
+      sendError(ws, validationError.code, validationError.message, {
+        field: validationError.field,
+        messageType: typeof type === 'string' ? type : null
+      });
+      return;
     }
 
   switch (type) {
@@ -111,19 +191,12 @@ wss.on('connection', function connection(ws, req) {
       await matchManager.handlePlayerMove(ws, payload);
       break;
 
+    case 'state-ack':
+      await matchManager.handleStateAck(ws, payload);
+      break;
+
     case 'spell-cast':
-      console.log('[Server] ========== RECEIVED spell-cast MESSAGE ==========');
-      console.log('[Server] spell-cast payload:', payload);
-      console.log('[Server] ws.playerId:', ws.playerId);
-      console.log('[Server] ws.matchId:', ws.matchId);
-      try {
-        await matchManager.handleSpellCast(ws, payload);
-        console.log('[Server] handleSpellCast completed successfully');
-      } catch (error) {
-        console.error('[Server] ========== ERROR in handleSpellCast ==========');
-        console.error('[Server] Error:', error);
-        console.error('[Server] Stack:', error.stack);
-      }
+      await matchManager.handleSpellCast(ws, payload);
       break;
 
     case 'round-ready':
@@ -146,8 +219,37 @@ wss.on('connection', function connection(ws, req) {
       await gameManager.handleFinishGame(ws, payload);
       break;
 
+    case 'stats-resync':
+      await gameManager.handleStatsResync(ws, payload);
+      break;
+
+    case 'start-bracket':
+      await bracketManager.handleStartBracket(ws, payload);
+      break;
+
     case 'spell-hit':
-      await matchManager.handleSpellHit(payload.matchId, payload.spellId, payload.hitPlayerId);
+      // Advisory only - the server simulation decides hits
+      await matchManager.handleSpellHitReport(ws, payload);
+      break;
+
+    case 'spectate-match':
+      await matchManager.handleSpectateMatch(ws, payload);
+      break;
+
+    case 'stop-spectating':
+      await matchManager.handleStopSpectating(ws);
+      break;
+
+    case 'list-matches':
+      await matchManager.handleListMatches(ws);
+      break;
+
+    case 'replay-play':
+      await replayManager.handleReplayPlay(ws, payload);
+      break;
+
+    case 'replay-stop':
+      await replayManager.handleReplayStop(ws);
       break;
 
     case 'ping':
@@ -156,28 +258,31 @@ wss.on('connection', function connection(ws, req) {
       break;
 
     default:
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: `Unknown message type: ${type}`
-      }));
+      sendError(ws, ErrorCodes.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${type}`, {
+        field: 'type',
+        messageType: type
+      });
   }
 }
 
 // Disconnection handler
 async function handleDisconnection(ws) {
+  replayManager.stopPlayback(ws);
+  matchManager.stopSpectating(ws);
+
   // Remove from queue if in queue
   if (ws.userId) {
-    await queueManager.removeFromQueue(ws.userId);
+    await queueManager.removeFromQueue(ws.userId, ws);
   }
 
   // Handle match disconnection
   if (ws.matchId) {
-    await matchManager.handlePlayerDisconnect(ws.matchId, ws.playerId);
+    await matchManager.handlePlayerDisconnect(ws.matchId, ws.playerId, ws);
   }
 
-  // Remove from game session
+  // Mark offline in game session (removed later if they don't come back)
   if (ws.sessionCode) {
-    await gameManager.handleDisconnect(ws.sessionCode, ws.userId);
+    await gameManager.handleDisconnect(ws.sessionCode, ws.userId, ws);
   }
 }
 
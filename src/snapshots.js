@@ -0,0 +1,89 @@
+// Compact match state snapshots and delta compression.
+//
+// Snapshot shape (positions rounded to whole pixels):
+//   { p1: { x, y, hp, mp, sh, fx }, p2: { ... }, s: { [spellId]: [x, y] } }
+//   mp = mana, sh = remaining shield, fx = active status effects as a comma-separated string
+//
+// Delta shape (only what changed since the base snapshot):
+//   { p1: { changed fields }, p2: { changed fields }, s: { [spellId]: [x, y] }, r: [removed spell ids] }
+
+// How many past snapshots each match keeps for delta encoding
+const SNAPSHOT_HISTORY_SIZE = 32;
+
+function compactPlayer(player) {
+  return {
+    x: Math.round(player.position.x),
+    y: Math.round(player.position.y),
+    hp: player.hp,
+    mp: Math.floor(player.mana),
+    sh: player.shield && player.shield.expiresAt > Date.now() ? player.shield.amount : 0,
+    fx: (player.effects || []).filter(effect => effect.expiresAt > Date.now()).map(effect => effect.type).sort().join(',')
+  };
+}
+
+// Build a snapshot of the current match state
+function buildSnapshot(match) {
+  const spells = {};
+  for (const spell of match.activeSpells) {
+    spells[spell.id] = [Math.round(spell.position.x), Math.round(spell.position.y)];
+  }
+
+  return {
+    p1: compactPlayer(match.player1),
+    p2: compactPlayer(match.player2),
+    s: spells
+  };
+}
+
+// Helper function to diff two flat objects
+function diffFields(base, current) {
+  const changes = {};
+  let changed = false;
+  for (const key of Object.keys(current)) {
+    if (base[key] !== current[key]) {
+      changes[key] = current[key];
+      changed = true;
+    }
+  }
+  return changed ? changes : null;
+}
+
+// Build a delta that turns `base` into `current`
+function diffSnapshot(base, current) {
+  const delta = {};
+
+  for (const key of ['p1', 'p2']) {
+    const changes = diffFields(base[key], current[key]);
+    if (changes) delta[key] = changes;
+  }
+
+  const spellChanges = {};
+  let spellsChanged = false;
+  for (const [id, position] of Object.entries(current.s)) {
+    const previous = base.s[id];
+    if (!previous || previous[0] !== position[0] || previous[1] !== position[1]) {
+      spellChanges[id] = position;
+      spellsChanged = true;
+    }
+  }
+  if (spellsChanged) delta.s = spellChanges;
+
+  const removed = Object.keys(base.s).filter(id => !(id in current.s));
+  if (removed.length > 0) delta.r = removed;
+
+  return delta;
+}
+
+// Remember a snapshot for later delta encoding, dropping the oldest ones
+function storeSnapshot(history, tick, snapshot) {
+  history.set(tick, snapshot);
+  while (history.size > SNAPSHOT_HISTORY_SIZE) {
+    history.delete(history.keys().next().value);
+  }
+}
+
+module.exports = {
+  buildSnapshot,
+  diffSnapshot,
+  storeSnapshot
+};
@@ -0,0 +1,64 @@
+// Spell definition table.
+//   effect:           'projectile' (travels and hits the opponent), 'shield' or 'heal' (self)
+//   damageMultiplier: scales the caster's damage (projectiles)
+//   speed:            projectile speed in pixels per frame at 60 FPS
+//   cooldownMs:       per-spell cooldown for the caster
+//   manaCost:         mana spent on cast
+//   statusEffects:    status effects applied to the target on hit (see statusEffects.js)
+//   absorbMultiplier: shield strength as a multiple of the caster's damage
+//   healMultiplier:   HP restored as a multiple of the caster's damage
+
+const spells = {
+  fire_arrow: {
+    effect: 'projectile',
+    damageMultiplier: 1,
+    speed: 10,
+    cooldownMs: 1000,
+    manaCost: 10,
+    statusEffects: ['burn']
+  },
+  water_spell: {
+    effect: 'projectile',
+    damageMultiplier: 1.5,
+    speed: 5,
+    cooldownMs: 1500,
+    manaCost: 20,
+    statusEffects: ['slow']
+  },
+  frost_bolt: {
+    effect: 'projectile',
+    damageMultiplier: 0.6,
+    speed: 7,
+    cooldownMs: 2500,
+    manaCost: 25,
+    statusEffects: ['freeze', 'slow']
+  },
+  shield: {
+    effect: 'shield',
+    cooldownMs: 8000,
+    manaCost: 30,
+    absorbMultiplier: 3,
+    durationMs: 4000
+  },
+  heal: {
+    effect: 'heal',
+    cooldownMs: 10000,
+    manaCost: 40,
+    healMultiplier: 2
+  }
+};
+
+// Per-player mana pool
+const MAX_MANA = 100;
+const MANA_REGEN_PER_SECOND = 12;
+
+// Get a spell definition (undefined for unknown spell types)
+function getSpell(spellType) {
+  return Object.prototype.hasOwnProperty.call(spells, spellType) ? spells[spellType] : undefined;
+}
+
+module.exports = {
+  MAX_MANA,
+  MANA_REGEN_PER_SECOND,
+  getSpell
+};
@@ -0,0 +1,153 @@
+// Status effects on match players (burn, slow, freeze, stun).
+//
+// Each definition:
+//   durationMs:     how long one application lasts
+//   stacking:       'stack'   - add a stack (up to maxStacks) and refresh duration
+//                   'refresh' - keep one instance, refresh its duration
+//                   'ignore'  - new applications are ignored while active
+//   tickIntervalMs: for damage over time, how often it deals damage
+//   moveMultiplier: movement speed multiplier while active (0 = can't move)
+//   preventsCasting: true if the player can't cast spells while active
+
+const definitions = {
+  burn: {
+    durationMs: 3000,
+    stacking: 'stack',
+    maxStacks: 3,
+    tickIntervalMs: 1000,
+    damageRatio: 0.2 // Damage per tick per stack, as a share of the hit that applied it
+  },
+  slow: {
+    durationMs: 2000,
+    stacking: 'refresh',
+    moveMultiplier: 0.5
+  },
+  freeze: {
+    durationMs: 600,
+    stacking: 'refresh',
+    moveMultiplier: 0
+  },
+  stun: {
+    durationMs: 800,
+    stacking: 'ignore',
+    moveMultiplier: 0,
+    preventsCasting: true
+  }
+};
+
+// Hits dealing at least this much damage stun the target
+const STUN_DAMAGE_THRESHOLD = 25;
+
+function isActive(effect, now) {
+  return effect.expiresAt > now;
+}
+
+// Apply an effect to a player. Returns the effect, or null if it was ignored.
+// sourceDamage is the damage of the hit that applied it (used by damage over time)
+function applyEffect(player, type, now, sourceDamage = 0) {
+  const definition = definitions[type];
+  if (!definition) return null;
+
+  if (!player.effects) player.effects = [];
+  const existing = player.effects.find(effect => effect.type === type && isActive(effect, now));
+
+  if (existing) {
+    if (definition.stacking === 'ignore') return null;
+
+    if (definition.stacking === 'stack') {
+      existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+      existing.damagePerStack = Math.max(existing.damagePerStack, Math.max(1, Math.floor(sourceDamage * definition.damageRatio)));
+    }
+    existing.expiresAt = now + definition.durationMs;
+    return existing;
+  }
+
+  const effect = {
+    type,
+    stacks: 1,
+    appliedAt: now,
+    expiresAt: now + definition.durationMs,
+    nextTickAt: definition.tickIntervalMs ? now + definition.tickIntervalMs : null,
+    damagePerStack: definition.damageRatio ? Math.max(1, Math.floor(sourceDamage * definition.damageRatio)) : 0
+  };
+  player.effects = player.effects.filter(e => e.type !== type);
+  player.effects.push(effect);
+  return effect;
+}
+
+// Process damage over time and expiry.
+// Returns { damage, expired: [types] } for this step
+function tickEffects(player, now) {
+  let damage = 0;
+  const expired = [];
+  if (!player.effects || player.effects.length === 0) return { damage, expired };
+
+  for (const effect of player.effects) {
+    const definition = definitions[effect.type];
+
+    // Damage ticks that fall inside the effect's lifetime
+    while (effect.nextTickAt && effect.nextTickAt <= now && effect.nextTickAt <= effect.expiresAt) {
+      damage += effect.damagePerStack * effect.stacks;
+      effect.nextTickAt += definition.tickIntervalMs;
+    }
+
+    if (!isActive(effect, now)) {
+      expired.push(effect.type);
+    }
+  }
+
+  player.effects = player.effects.filter(effect => isActive(effect, now));
+  return { damage, expired };
+}
+
+// Movement speed multiplier from all active effects (strongest wins)
+function getMoveMultiplier(player, now) {
+  let multiplier = 1;
+  for (const effect of player.effects || []) {
+    const definition = definitions[effect.type];
+    if (isActive(effect, now) && definition.moveMultiplier !== undefined) {
+      multiplier = Math.min(multiplier, definition.moveMultiplier);
+    }
+  }
+  return multiplier;
+}
+
+function canCast(player, now) {
+  return !(player.effects || []).some(effect =>
+    isActive(effect, now) && definitions[effect.type].preventsCasting
+  );
+}
+
+// Move all timers forward (after a paused match resumes)
+function shiftEffects(player, ms) {
+  for (const effect of player.effects || []) {
+    effect.expiresAt += ms;
+    if (effect.nextTickAt) effect.nextTickAt += ms;
+  }
+}
+
+function clearEffects(player) {
+  player.effects = [];
+}
+
+// Effects as sent to clients and the teacher
+function serializeEffects(player, now) {
+  return (player.effects || [])
+    .filter(effect => isActive(effect, now))
+    .map(effect => ({
+      type: effect.type,
+      stacks: effect.stacks,
+      remainingMs: effect.expiresAt - now
+    }));
+}
+
+module.exports = {
+  STUN_DAMAGE_THRESHOLD,
+  applyEffect,
+  tickEffects,
+  getMoveMultiplier,
+  canCast,
+  shiftEffects,
+  clearEffects,
+  serializeEffects
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { issueToken, verifyToken } = require('../src/auth');
+
+const SECRET = 'test-secret';
+
+test('verifies a token it issued', () => {
+  const token = issueToken({ userId: 42, role: 'student', sessionCode: 'ABC123' }, SECRET);
+  const claims = verifyToken(token, SECRET);
+
+  assert.equal(claims.userId, '42');
+  assert.equal(claims.role, 'student');
+  assert.equal(claims.sessionCode, 'ABC123');
+});
+
+test('rejects a token signed with another secret', () => {
+  const token = issueToken({ userId: 1, role: 'teacher', sessionCode: 'ABC123' }, 'other-secret');
+  assert.throws(() => verifyToken(token, SECRET), /Invalid token signature/);
+});
+
+test('rejects a malformed token', () => {
+  assert.throws(() => verifyToken('not-a-token', SECRET), /Malformed token/);
+});
+
+test('rejects an expired token past the clock skew', () => {
+  const token = issueToken({ userId: 1, role: 'student', sessionCode: 'ABC123', ttlSeconds: -60 }, SECRET);
+  assert.throws(() => verifyToken(token, SECRET), /Token expired/);
+});
+
+test('accepts a token that expired within the clock skew', () => {
+  const token = issueToken({ userId: 1, role: 'student', sessionCode: 'ABC123', ttlSeconds: -10 }, SECRET);
+  assert.equal(verifyToken(token, SECRET).userId, '1');
+});
+
+test('rejects a token with an unknown role', () => {
+  const token = issueToken({ userId: 1, role: 'admin', sessionCode: 'ABC123' }, SECRET);
+  assert.throws(() => verifyToken(token, SECRET), /missing required claims/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scorePair, getTolerance, updateRatings, MAX_MATCHMAKING_WAIT_MS } = require('../src/matchmaking');
+
+test('identical students have no mismatch', () => {
+  const entry = { hp: 80, maxHp: 100, damage: 10, rating: 1000 };
+  assert.equal(scorePair(entry, { ...entry }).total, 0);
+});
+
+test('scorePair reports each component of the mismatch', () => {
+  const score = scorePair(
+    { hp: 100, maxHp: 100, damage: 20, rating: 1200 },
+    { hp: 50, maxHp: 100, damage: 10, rating: 1000 }
+  );
+
+  assert.equal(score.hp, 0.5);
+  assert.equal(score.damage, 0.5);
+  assert.equal(score.rating, 0.5);
+});
+
+test('tolerance grows with waiting time and is unlimited after the maximum wait', () => {
+  assert.equal(getTolerance(0), 0.25);
+  assert.equal(getTolerance(10000), 0.75);
+  assert.equal(getTolerance(MAX_MATCHMAKING_WAIT_MS), Infinity);
+});
+
+test('equal ratings move by half the K factor', () => {
+  const winner = {};
+  const loser = {};
+  assert.equal(updateRatings(winner, loser), 16);
+  assert.equal(winner.rating, 1016);
+  assert.equal(loser.rating, 984);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMessage } = require('../src/messageSchemas');
+const { ErrorCodes } = require('../src/errors');
+
+test('accepts a valid message', () => {
+  assert.equal(validateMessage({ type: 'start-game', payload: { sessionCode: 'ABC123', bestOf: 3 } }), null);
+});
+
+test('rejects a message without a type', () => {
+  assert.equal(validateMessage({ payload: {} }).code, ErrorCodes.INVALID_MESSAGE);
+});
+
+test('rejects an unknown message type', () => {
+  assert.equal(validateMessage({ type: 'launch-rocket', payload: {} }).code, ErrorCodes.UNKNOWN_MESSAGE_TYPE);
+});
+
+test('reports a missing field', () => {
+  const error = validateMessage({ type: 'join-lobby', payload: { sessionCode: 'ABC123' } });
+  assert.equal(error.code, ErrorCodes.MISSING_FIELD);
+  assert.equal(error.field, 'studentId');
+});
+
+test('reports a value below the minimum', () => {
+  const error = validateMessage({ type: 'start-game', payload: { sessionCode: 'ABC123', cardTimeLimitMs: 100 } });
+  assert.equal(error.code, ErrorCodes.INVALID_FIELD);
+  assert.equal(error.field, 'cardTimeLimitMs');
+});
+
+test('reports a value outside the enum', () => {
+  const error = validateMessage({ type: 'start-game', payload: { sessionCode: 'ABC123', tournamentMode: 'league' } });
+  assert.equal(error.code, ErrorCodes.INVALID_FIELD);
+  assert.equal(error.field, 'tournamentMode');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sweptHit, sweptRectHit } = require('../src/projectiles');
+
+test('a fast spell hits a player it passes through between steps', () => {
+  assert.equal(sweptHit({ x: 0, y: 100 }, { x: 400, y: 100 }, { x: 200, y: 110 }), true);
+});
+
+test('a spell passing wide of a player misses', () => {
+  assert.equal(sweptHit({ x: 0, y: 100 }, { x: 400, y: 100 }, { x: 200, y: 200 }), false);
+});
+
+test('sweptRectHit returns where the spell first touches the rectangle', () => {
+  const rect = { x: 100, y: 50, width: 50, height: 100 };
+  // The spell's hitbox radius (8) touches the padded edge at x = 92
+  assert.equal(sweptRectHit({ x: 0, y: 100 }, { x: 200, y: 100 }, rect), 0.46);
+});
+
+test('sweptRectHit returns null when the spell misses the rectangle', () => {
+  const rect = { x: 100, y: 50, width: 50, height: 100 };
+  assert.equal(sweptRectHit({ x: 0, y: 300 }, { x: 200, y: 300 }, rect), null);
+  assert.equal(sweptRectHit({ x: 0, y: 100 }, { x: 50, y: 100 }, rect), null);
+});
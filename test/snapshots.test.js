@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSnapshot, storeSnapshot } = require('../src/snapshots');
+
+function snapshot(p1x, spells) {
+  return {
+    p1: { x: p1x, y: 100, hp: 100, mp: 50, sh: 0, fx: '' },
+    p2: { x: 600, y: 100, hp: 100, mp: 50, sh: 0, fx: '' },
+    s: spells
+  };
+}
+
+test('a delta holds only changed fields, moved spells and removed spells', () => {
+  const base = snapshot(100, { a: [10, 10], b: [20, 20] });
+  const current = snapshot(110, { a: [10, 10], c: [30, 30] });
+
+  assert.deepEqual(diffSnapshot(base, current), {
+    p1: { x: 110 },
+    s: { c: [30, 30] },
+    r: ['b']
+  });
+});
+
+test('an unchanged snapshot gives an empty delta', () => {
+  const base = snapshot(100, { a: [10, 10] });
+  assert.deepEqual(diffSnapshot(base, snapshot(100, { a: [10, 10] })), {});
+});
+
+test('storeSnapshot keeps only the most recent snapshots', () => {
+  const history = new Map();
+  for (let tick = 1; tick <= 40; tick++) {
+    storeSnapshot(history, tick, snapshot(tick, {}));
+  }
+
+  assert.equal(history.size, 32);
+  assert.equal(history.has(8), false);
+  assert.equal(history.has(9), true);
+  assert.equal(history.has(40), true);
+});
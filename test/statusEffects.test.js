@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyEffect, tickEffects, getMoveMultiplier, canCast } = require('../src/statusEffects');
+
+test('the strongest movement effect wins', () => {
+  const player = {};
+  applyEffect(player, 'slow', 0);
+  assert.equal(getMoveMultiplier(player, 100), 0.5);
+
+  applyEffect(player, 'freeze', 100);
+  assert.equal(getMoveMultiplier(player, 200), 0);
+  assert.equal(getMoveMultiplier(player, 1000), 0.5);
+  assert.equal(getMoveMultiplier(player, 3000), 1);
+});
+
+test('a stun prevents casting until it expires and ignores reapplication', () => {
+  const player = {};
+  applyEffect(player, 'stun', 0);
+  assert.equal(canCast(player, 500), false);
+  assert.equal(applyEffect(player, 'stun', 500), null);
+  assert.equal(canCast(player, 800), true);
+});
+
+test('a frozen player can still cast', () => {
+  const player = {};
+  applyEffect(player, 'freeze', 0);
+  assert.equal(canCast(player, 100), true);
+});
+
+test('burn stacks and deals damage per stack each tick', () => {
+  const player = {};
+  applyEffect(player, 'burn', 0, 20);
+  applyEffect(player, 'burn', 0, 20);
+
+  assert.deepEqual(tickEffects(player, 1000), { damage: 8, expired: [] });
+  assert.deepEqual(tickEffects(player, 3000), { damage: 16, expired: ['burn'] });
+  assert.deepEqual(player.effects, []);
+});